@@ -1,22 +1,111 @@
 #!/usr/bin/env node
 
 const { ProvisioningService } = require('./services/ProvisioningService');
+const { BatchService } = require('./services/BatchService');
+const { WebAppService } = require('./services/WebAppService');
+const { CredentialsService } = require('./services/CredentialsService');
+const { InventoryService } = require('./services/InventoryService');
+const { Inventory } = require('./core/Inventory');
 const { ConfigManager } = require('./config/ConfigManager');
 const { Logger } = require('./utils/logger');
+const { printPlan, printPlanJson } = require('./utils/plan');
+const { printResultJson } = require('./utils/output');
+
+/**
+ * Unlocks the credentials store before provisioning starts, so the passphrase prompt comes first.
+ * Without a passphrase (non-interactive) the run continues and credentials are not saved.
+ */
+async function openCredentialStore(cfg) {
+  if (!cfg.credentials.save) return null;
+
+  const store = CredentialsService.createStore(cfg);
+  try {
+    await store.unlock();
+    return store;
+  } catch (error) {
+    if (error.code !== 'NO_PASSPHRASE') throw error;
+    Logger.warn(`Credentials will not be saved: ${error.message}`);
+    return null;
+  }
+}
 
 (async () => {
+  let jsonOutput = false;
+  let configManager;
+
   try {
     // Initialize Configuration
-    const configManager = new ConfigManager();
+    configManager = new ConfigManager();
+    await configManager.resolveServer();
+
+    // Local credentials store
+    if (configManager.getCommand() === 'creds') {
+      await new CredentialsService(configManager).run();
+      return;
+    }
+
+    // Local record of provisioned sites
+    const inventory = new Inventory(configManager.get().inventory.file);
+
+    if (['history', 'inventory', 'drift'].includes(configManager.getCommand())) {
+      const report = await new InventoryService(configManager, { inventory }).run();
+      if (report?.status === 'drifted') process.exitCode = 1;
+      return;
+    }
+
+    // Commands on existing WebApps
+    if (configManager.getCommand() !== 'create') {
+      const report = await new WebAppService(configManager, { inventory }).run();
+      if (report?.status === 'partial') process.exitCode = 1;
+      return;
+    }
+
+    const planMode = configManager.getPlanMode();
+    jsonOutput = !planMode && configManager.getOutputMode() === 'json';
+
+    // Plan Mode: run the normal flow against a recording client, then print only the plan
+    // JSON Output: same silencing, the result document owns stdout
+    if (planMode || jsonOutput) Logger.setSilent(true);
+
+    const credentialStore = planMode ? null : await openCredentialStore(configManager.get());
+
+    let reports;
+
+    if (configManager.isBatch()) {
+      // Manifest Mode: one run per site, summarized at the end
+      reports = await new BatchService(configManager, { credentialStore, inventory }).run();
+    } else {
+      // Inject Config into Service Layer
+      const service = new ProvisioningService(configManager.get(), { credentialStore, inventory });
+
+      // Run
+      reports = [await service.run()];
+    }
+
+    if (planMode) {
+      Logger.setSilent(false);
+      if (planMode === 'json') printPlanJson(reports);
+      else printPlan(reports);
+    }
 
-    // Inject Config into Service Layer
-    const service = new ProvisioningService(configManager);
+    if (jsonOutput) printResultJson(reports, { batch: configManager.isBatch() });
 
-    // Run
-    await service.run();
+    // Automation treats a partially provisioned site as a failure
+    const failed = reports.some(r => r.status === 'failed' || r.status === 'not run' || (jsonOutput && r.status === 'partial'));
+    if (failed) process.exitCode = 1;
 
   } catch (error) {
     // Global Error Trap
+    if (jsonOutput) {
+      const site = configManager.get();
+      printResultJson([{
+        appName: site.appName,
+        domainName: site.domainName,
+        status: 'failed',
+        error: error.message,
+        rollback: error.rollback
+      }]);
+    }
     Logger.error(error.message);
     process.exit(1);
   }
@@ -2,13 +2,31 @@
  * Handles parsing of CLI arguments and Environment variables to build the runtime config.
  */
 
-require('dotenv').config();
+// Quiet: dotenv's banner would otherwise corrupt JSON written to stdout
+require('dotenv').config({ quiet: true });
 
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
 const CONSTANTS = require('./constants');
-const { generateStrongPass } = require('../utils/helpers');
+const { RunCloudClient } = require('../core/RunCloudClient');
+const { generateStrongPass, generateDbPass, userConfigDir } = require('../utils/helpers');
 const { Logger } = require('../utils/logger');
+const { normalizePhpSettings, parseSettingPairs } = require('../utils/phpSettings');
+
+/** Subcommands understood by the CLI */
+const COMMANDS = ['create', 'list', 'show', 'delete', 'ssl', 'hub', 'php', 'creds', 'history', 'inventory', 'drift'];
+
+/**
+ * Reduces a clone URL ("https://github.com/owner/repo.git", "git@github.com:owner/repo.git")
+ * to the "owner/repo" path the hosted providers expect. Paths pass through unchanged.
+ */
+function toRepositoryPath(repo) {
+  const match = String(repo).trim().match(/^(?:https?:\/\/[^/]+\/|[\w.-]+@[^:]+:)(.+?)(?:\.git)?\/?$/);
+  return match ? match[1] : String(repo).trim();
+}
 
 class ConfigManager {
   /**
@@ -17,7 +35,12 @@ class ConfigManager {
   constructor() {
     this.argv = this._parseArgs();
     this.env = process.env;
-    this.config = this._resolveConfig();
+    this._configureLogger();
+    this.profile = this._loadProfile();
+    this.manifest = this.argv.manifest ? this._loadManifest(this.argv.manifest) : null;
+    this.sites = this._resolveSites();
+    this.config = this.sites[0];
+    this.sites.forEach(site => Logger.addSecret(site.apiKey, site.adminPassword, site.credentials?.passphrase));
     this._validate();
   }
 
@@ -28,121 +51,490 @@ class ConfigManager {
     return this.config;
   }
 
+  /**
+   * Returns the configuration of every site to provision (one unless a manifest is used).
+   */
+  getSites() {
+    return this.sites;
+  }
+
+  /**
+   * True when running from a manifest file.
+   */
+  isBatch() {
+    return this.manifest !== null;
+  }
+
+  /**
+   * Returns the plan mode: null (provision for real), 'text' or 'json'.
+   */
+  getPlanMode() {
+    if (this.argv['plan-json']) return 'json';
+    return this.argv['dry-run'] ? 'text' : null;
+  }
+
+  /**
+   * Returns the output format: 'text' (decorated logs) or 'json' (one result document on stdout).
+   */
+  getOutputMode() {
+    return this.argv.output || 'text';
+  }
+
+  /**
+   * Returns batch execution options.
+   */
+  getBatchOptions() {
+    return {
+      concurrency: this.argv.concurrency,
+      continueOnError: this.argv['continue-on-error']
+    };
+  }
+
+  /**
+   * Returns the subcommand being run ('create' when none is given).
+   */
+  getCommand() {
+    const [command] = this.argv._;
+    return COMMANDS.includes(command) ? command : 'create';
+  }
+
+  /**
+   * Applies the logging flags (or RC_LOG_LEVEL / RC_LOG_FILE) before anything else is logged.
+   */
+  _configureLogger() {
+    const flag = ['debug', 'verbose', 'quiet'].find(name => this.argv[name]);
+    try {
+      Logger.configure({
+        level: flag || this.env.RC_LOG_LEVEL || CONSTANTS.DEFAULTS.LOG_LEVEL,
+        logFile: this.argv['log-file'] || this.env.RC_LOG_FILE || null,
+        showSecrets: Boolean(this.argv['show-secrets'])
+      });
+    } catch (error) {
+      Logger.error(error.message);
+      process.exit(1);
+    }
+  }
+
   /**
    * Defines and parses CLI arguments
    */
   _parseArgs() {
     return yargs(hideBin(process.argv))
+      .scriptName('create-wp')
+      .usage('$0 [command] [options]')
+
+      // Provisioning (Default Command)
+      .command(['create', '$0'], 'Provision a new WebApp (default)', (y) => this._createOptions(y))
+
+      // Management of existing WebApps
+      .command('list', 'List WebApps on the server')
+      .command('show <app>', 'Show a WebApp and its domains', (y) => this._appArgument(y))
+      .command('delete <app>', 'Delete a WebApp (and optionally its database)', (y) => this._appArgument(y)
+        .option('yes', { alias: 'y', type: 'boolean', description: 'Skip the typed confirmation' })
+        .option('delete-db', { type: 'boolean', description: 'Also delete the linked database and DB user' })
+        .option('db', { type: 'string', description: 'Linked database name (e.g. db_x1y2z3). Overrides the one found in the inventory or credentials store' })
+        .option('db-user', { type: 'string', description: 'Linked DB user (Default: u_<suffix> of --db)' }))
+      .command('ssl <app>', 'Provision Let\'s Encrypt SSL for an existing WebApp', (y) => this._sslOptions(this._appArgument(y))
+        .option('domain', { alias: 'd', type: 'string', description: 'Domain to secure (Default: every domain of the WebApp)' })
+        .option('poll-interval', { type: 'number', description: `Seconds between status checks (Default: ${CONSTANTS.DEFAULTS.POLL_INTERVAL})` }))
+      .command('hub <app>', 'Install RunCloud Hub on an existing WordPress WebApp', (y) => this._hubOptions(this._appArgument(y)))
+      .command('php <app>', 'Apply PHP settings to an existing WebApp (Default: remove disabled PHP functions)', (y) => this._phpSettingsOptions(this._appArgument(y)))
+
+      // Local credentials store
+      .command('creds <action> [app]', 'Saved credentials: list, show <app>, export', (y) => y
+        .positional('action', { type: 'string', choices: ['list', 'show', 'export'] })
+        .positional('app', { type: 'string', description: 'WebApp name or ID (show)' }))
+
+      // Local inventory of provisioned sites
+      .command('history [app]', 'Provisioning runs recorded in the local inventory', (y) => this._appArgument(y)
+        .option('limit', { type: 'number', default: CONSTANTS.DEFAULTS.HISTORY_LIMIT, description: 'Number of runs to show (0 for all)' }))
+      .command('inventory', 'Sites recorded in the local inventory, with their last known settings')
+      .command('drift [app]', 'Compare the recorded settings of each site with the server', (y) => this._appArgument(y))
+
+      // Account & Server
+      .option('profile', { type: 'string', description: 'Named profile from the profiles file (or RC_PROFILE)' })
+      .option('server', { type: 'string', description: 'Target server name or ID (overrides the profile/.env server)' })
+
+      // API Client
+      .option('retries', { type: 'number', description: `Retries for failed API calls (Default: ${CONSTANTS.DEFAULTS.RETRIES})` })
+      .option('timeout', { type: 'number', description: `API request timeout in seconds (Default: ${CONSTANTS.DEFAULTS.TIMEOUT})` })
+
+      // Logging
+      .option('quiet', { alias: 'q', type: 'boolean', description: 'Only print warnings and errors' })
+      .option('verbose', { type: 'boolean', description: 'Print extra detail' })
+      .option('debug', { type: 'boolean', description: 'Also print every API request (method, URL, status, duration) to stderr' })
+      .option('log-file', { type: 'string', description: 'Append timestamped log entries to this file (secrets always masked)' })
+      .option('show-secrets', { type: 'boolean', description: 'Show passwords in the final summary and `creds show` (Default: masked). The --output=json result always includes them' })
+      .conflicts('quiet', ['verbose', 'debug'])
+      .strictCommands()
+      .help()
+      .argv;
+  }
+
+  /**
+   * Options of the `create` command.
+   */
+  _createOptions(y) {
+    return this._phpSettingsOptions(this._sslOptions(this._hubOptions(y
       // App Type Selection
       .option('type', {
         alias: 't',
         type: 'string',
-        default: CONSTANTS.DEFAULTS.TYPE,
+        defaultDescription: CONSTANTS.DEFAULTS.TYPE,
         choices: Object.values(CONSTANTS.APP_TYPES),
-        description: 'Application Type (wordpress or custom)'
+        description: 'Application Type (wordpress, custom, or node: custom app behind a reverse proxy)'
       })
 
       // Site
-      .option('domain', { alias: 'd', type: 'string', demandOption: true, description: 'Domain name' })
-      .option('app', { alias: 'a', type: 'string', demandOption: true, description: 'App Name' })
+      .option('domain', { alias: 'd', type: 'string', description: 'Domain name' })
+      .option('app', { alias: 'a', type: 'string', description: 'App Name' })
+      .option('alias', { type: 'string', array: true, description: 'Additional domain served by the app (repeatable)' })
+      .option('www', { type: 'string', choices: CONSTANTS.WWW_MODES, description: `www counterpart: add as alias, redirect to the domain, or none (Default: ${CONSTANTS.DEFAULTS.WWW})` })
+
+      // Batch
+      .option('manifest', { alias: 'm', type: 'string', description: 'Provision every site listed in a YAML/JSON manifest' })
+      .option('concurrency', { type: 'number', default: CONSTANTS.DEFAULTS.CONCURRENCY, description: 'Sites provisioned in parallel (Manifest only)' })
+      .option('continue-on-error', { type: 'boolean', default: true, description: 'Keep going when a site fails (Manifest only)' })
+
+      // Output
+      .option('output', { type: 'string', choices: ['text', 'json'], default: 'text', description: 'Output format (json: one result document on stdout)' })
+
+      // Plan
+      .option('dry-run', { alias: 'plan', type: 'boolean', description: 'Print the API calls that would be made, without sending them' })
+      .option('plan-json', { type: 'boolean', description: 'Same as --dry-run, printed as JSON' })
 
       // WP Credentials
       .option('user', { alias: 'u', type: 'string', description: 'WP Admin User' })
       .option('password', { alias: 'P', type: 'string', description: 'WP Admin Password' })
       .option('email', { alias: 'e', type: 'string', description: 'WP Admin Email' })
 
+      // Secret Generation Policies
+      .option('password-length', { type: 'number', description: `Generated admin password length (Default: ${CONSTANTS.DEFAULTS.PASSWORD_LENGTH})` })
+      .option('password-classes', { type: 'string', description: `Required character classes, comma separated (Default: ${CONSTANTS.DEFAULTS.PASSWORD_CLASSES})` })
+      .option('password-exclude', { type: 'string', description: 'Characters never used in generated passwords (e.g. "lI1O0")' })
+      .option('db-password-length', { type: 'number', description: `Generated DB password length, alphanumeric (Default: ${CONSTANTS.DEFAULTS.DB_PASSWORD_LENGTH})` })
+      .option('db-id-length', { type: 'number', description: `Random suffix length of db_/u_ names (Default: ${CONSTANTS.DEFAULTS.DB_ID_LENGTH})` })
+
       // Stack
       .option('owner', { alias: 'o', type: 'number', description: 'System User ID (Required for Custom Apps)' })
-      .option('php', { alias: 'p', type: 'string', default: '8.2', choices: Object.keys(CONSTANTS.PHP_VERSIONS) })
-      .option('stack', { alias: 's', type: 'string', default: 'nginx', choices: ['nginx', 'apache'], description: 'Stack for WP (Custom always uses customnginx)' })
+      .option('php', { alias: 'p', type: 'string', defaultDescription: CONSTANTS.DEFAULTS.PHP, choices: Object.keys(CONSTANTS.PHP_VERSIONS) })
+      .option('stack', { alias: 's', type: 'string', defaultDescription: CONSTANTS.DEFAULTS.STACK, choices: ['nginx', 'apache'], description: 'Stack for WP (Custom always uses customnginx)' })
 
       // Hub & SSL
       .option('hub', { type: 'boolean', description: 'Install RunCloud Hub Plugin (WP Only)' })
-      .option('hub-type', { type: 'string', choices: ['native', 'redis'], description: 'RunCloud Hub Cache Type' })
-      .option('redis-obj', { type: 'boolean', description: 'Enable Redis Object Cache' })
-      .option('ssl', { type: 'boolean', description: 'Provision Let\'s Encrypt SSL' })
+      .option('ssl', { type: 'boolean', description: 'Provision Let\'s Encrypt SSL for every attached domain' })
+
+      // Node.js Apps
+      .option('proxy', { type: 'string', choices: CONSTANTS.PROXY_MODES, description: `Where the proxy config is written: local (on the server), api, or auto (Default: ${CONSTANTS.DEFAULTS.PROXY_MODE})` })
+      .option('port', { type: 'number', description: 'Port the Node.js app listens on (Default: next free port)' })
+
+      // Git Deployment
+      .option('git-repo', { type: 'string', description: 'Repository to deploy, e.g. owner/repo (Custom Apps)' })
+      .option('git-branch', { type: 'string', description: `Branch to deploy (Default: ${CONSTANTS.DEFAULTS.GIT_BRANCH})` })
+      .option('git-provider', { type: 'string', choices: CONSTANTS.GIT_PROVIDERS, description: `Git provider (Default: ${CONSTANTS.DEFAULTS.GIT_PROVIDER})` })
+      .option('git-deploy-script', { type: 'string', description: 'File with the script to run after each deployment' })
 
       // PHP Security
       .option('unrestricted', {
         type: 'boolean',
         description: 'Remove disabled PHP functions (Enable exec, shell_exec, etc)'
       })
-      .help()
-      .argv;
+
+      // Readiness
+      .option('wait-timeout', { type: 'number', description: `Max seconds to wait for the WebApp to be ready (Default: ${CONSTANTS.DEFAULTS.WAIT_TIMEOUT})` })
+      .option('poll-interval', { type: 'number', description: `Seconds between readiness checks (Default: ${CONSTANTS.DEFAULTS.POLL_INTERVAL})` })
+
+      // Credentials Store
+      .option('save-credentials', { type: 'boolean', description: 'Save generated credentials to the encrypted local store (Default: true)' })
+
+      // Safety
+      .option('rollback-on-failure', {
+        type: 'boolean',
+        description: 'Delete everything created so far if a step fails'
+      })
+      .option('ensure', {
+        type: 'boolean',
+        description: 'If the WebApp already exists, only apply what is missing (Hub, SSL, PHP version, PHP settings)'
+      })
+      .check((argv) => {
+        if (argv.manifest || (argv.domain && argv.app)) return true;
+        throw new Error('Missing required arguments: domain, app (or provide --manifest)');
+      }))));
   }
 
   /**
-   * Resolves configuration using CLI > ENV > Default
+   * RunCloud Hub options, shared by `create` and `hub`.
    */
-  _resolveConfig() {
-    // User Credentials
-    const adminUser = this.argv.user || this.env.RC_ADMIN_USER || CONSTANTS.DEFAULTS.USER;
-    const adminPassword = this.argv.password || this.env.RC_ADMIN_PASSWORD || generateStrongPass();
-    const isAutoPassword = !this.argv.password && !this.env.RC_ADMIN_PASSWORD;
-
-    // Hub
-    let installHub;
-    if (this.argv.hub !== undefined) {
-      installHub = this.argv.hub;
-    } else if (this.env.RC_INSTALL_HUB !== undefined) {
-      installHub = this.env.RC_INSTALL_HUB === 'true';
-    } else {
-      installHub = CONSTANTS.DEFAULTS.INSTALL_HUB;
-    }
-
-    // SSL
-    let installSsl;
-    if (this.argv.ssl !== undefined) {
-      installSsl = this.argv.ssl;
-    } else if (this.env.RC_INSTALL_SSL !== undefined) {
-      installSsl = this.env.RC_INSTALL_SSL === 'true';
-    } else {
-      installSsl = CONSTANTS.DEFAULTS.INSTALL_SSL;
-    }
-
-    // Unrestricted PHP
-    let unrestrictedPhp;
-    if (this.argv.unrestricted !== undefined) {
-      unrestrictedPhp = this.argv.unrestricted;
-    } else if (this.env.RC_UNRESTRICTED_PHP !== undefined) {
-      unrestrictedPhp = this.env.RC_UNRESTRICTED_PHP === 'true';
-    } else {
-      unrestrictedPhp = CONSTANTS.DEFAULTS.UNRESTRICTED_PHP;
+  _hubOptions(y) {
+    return y
+      .option('hub-type', { type: 'string', choices: ['native', 'redis'], description: 'RunCloud Hub Cache Type' })
+      .option('redis-obj', { type: 'boolean', description: 'Enable Redis Object Cache' });
+  }
+
+  /**
+   * PHP-FPM settings options, shared by `create` and `php`.
+   */
+  _phpSettingsOptions(y) {
+    return y
+      .option('php-profile', { type: 'string', choices: Object.keys(CONSTANTS.PHP_PROFILES), description: 'Named PHP-FPM settings profile' })
+      .option('php-settings', { type: 'string', description: 'YAML/JSON file of PHP settings (overrides the profile)' })
+      .option('php-set', { type: 'string', array: true, description: 'PHP setting override, e.g. memory_limit=1G (repeatable)' })
+      .option('php-enable', { type: 'string', description: 'Functions to re-enable from the default disable_functions list, e.g. exec,proc_open' });
+  }
+
+  /**
+   * Let's Encrypt options, shared by `create` and `ssl`.
+   */
+  _sslOptions(y) {
+    return y
+      .option('ssl-env', { type: 'string', choices: CONSTANTS.SSL_ENVIRONMENTS, description: `Let's Encrypt environment; staging certificates are not trusted (Default: ${CONSTANTS.DEFAULTS.SSL_ENV})` })
+      .option('ssl-method', { type: 'string', choices: CONSTANTS.SSL_METHODS, description: `Challenge method; dns-01 is needed for wildcards (Default: ${CONSTANTS.DEFAULTS.SSL_METHOD})` })
+      .option('ssl-dns-api', { type: 'number', description: 'RunCloud 3rd Party API key ID of the DNS provider (dns-01 only)' })
+      .option('hsts', { type: 'boolean', description: 'Send the HSTS header (Default: false)' })
+      .option('force-https', { type: 'boolean', description: 'Redirect HTTP to HTTPS (Default: true)' })
+      .option('ssl-timeout', { type: 'number', description: `Max seconds to wait for the certificate to be issued (Default: ${CONSTANTS.DEFAULTS.SSL_TIMEOUT})` })
+      .option('dns-check', { type: 'boolean', description: 'Skip SSL for domains whose DNS does not point at the server (Default: true)' })
+      .option('dns-wait', { type: 'number', description: `Max seconds to wait for DNS propagation before skipping SSL (Default: ${CONSTANTS.DEFAULTS.DNS_WAIT})` });
+  }
+
+  /**
+   * Positional WebApp reference for commands acting on an existing app.
+   */
+  _appArgument(y) {
+    return y.positional('app', { type: 'string', description: 'WebApp name or ID' });
+  }
+
+  /**
+   * Resolves a --server name to its ID through the API.
+   * Must be awaited before any service is created.
+   */
+  async resolveServer() {
+    const names = [...new Set(this.sites.map(site => site.serverName).filter(Boolean))];
+    if (names.length === 0) return;
+
+    const client = new RunCloudClient(this.config.apiKey, null, this.config.http);
+    for (const name of names) {
+      const server = await client.findServerByName(name);
+      if (!server) throw new Error(`Server "${name}" not found on this RunCloud account.`);
+
+      this.sites.filter(site => site.serverName === name).forEach(site => { site.serverId = server.id; });
+    }
+  }
+
+  /**
+   * Loads the selected profile from the profiles file.
+   * Selected by --profile, RC_PROFILE, or the file's "default" key. Resolves null when none applies.
+   */
+  _loadProfile() {
+    const file = this.env.RC_CONFIG_FILE || path.join(userConfigDir(this.env), 'config.json');
+    const requested = this.argv.profile || this.env.RC_PROFILE;
+
+    if (!fs.existsSync(file)) {
+      if (!requested) return null;
+      Logger.error(`Profile "${requested}" requested, but no profiles file exists at ${file}.`);
+      process.exit(1);
     }
 
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      Logger.error(`Could not parse profiles file ${file}: ${error.message}`);
+      process.exit(1);
+    }
+
+    // API keys live in this file, so it should not be readable by other users
+    if (process.platform !== 'win32' && (fs.statSync(file).mode & 0o077)) {
+      Logger.warn(`Profiles file ${file} is readable by other users. Run: chmod 600 ${file}`);
+    }
+
+    const name = requested || data.default;
+    if (!name) return null;
+
+    const profile = data.profiles?.[name];
+    if (!profile) {
+      Logger.error(`Profile "${name}" not found in ${file}. Available: ${Object.keys(data.profiles || {}).join(', ') || 'none'}`);
+      process.exit(1);
+    }
+
+    return { name, apiKey: profile.apiKey, serverId: profile.serverId, defaults: profile.defaults || {} };
+  }
+
+  /**
+   * Reads a manifest file. Accepts either a list of site entries
+   * or an object with a shared `defaults` block and a `sites` list.
+   */
+  _loadManifest(file) {
+    let raw;
+    try {
+      raw = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      Logger.error(`Could not read manifest: ${file} (${error.code || error.message})`);
+      process.exit(1);
+    }
+
+    let data;
+    try {
+      data = path.extname(file).toLowerCase() === '.json' ? JSON.parse(raw) : YAML.parse(raw);
+    } catch (error) {
+      Logger.error(`Could not parse manifest ${file}: ${error.message}`);
+      process.exit(1);
+    }
+
+    const manifest = Array.isArray(data) ? { defaults: {}, sites: data } : data;
+
+    if (!manifest || !Array.isArray(manifest.sites) || manifest.sites.length === 0) {
+      Logger.error(`Manifest ${file} must contain a non-empty "sites" list.`);
+      process.exit(1);
+    }
+
+    return { defaults: manifest.defaults || {}, sites: manifest.sites };
+  }
+
+  /**
+   * Builds one config per site.
+   * Values are layered as: manifest entry > CLI flags > manifest defaults > profile defaults
+   * (then ENV and built-in defaults inside _resolveConfig).
+   */
+  _resolveSites() {
+    const profileDefaults = this.profile?.defaults || {};
+    const args = this._definedArgs();
+    if (!this.manifest) return [this._resolveConfig({ ...profileDefaults, ...args })];
+
+    return this.manifest.sites.map(entry => this._resolveConfig({
+      ...profileDefaults,
+      ...this.manifest.defaults,
+      ...args,
+      ...entry
+    }));
+  }
+
+  /**
+   * CLI arguments without the keys yargs sets to undefined, so they cannot mask lower layers.
+   */
+  _definedArgs() {
+    return Object.fromEntries(Object.entries(this.argv).filter(([, v]) => v !== undefined));
+  }
+
+  /**
+   * Resolves configuration using CLI > Profile > ENV > Default
+   */
+  _resolveConfig(opts) {
+    // YAML reads `php: 8.0` as the number 8
+    const php = typeof opts.php === 'number' ? opts.php.toFixed(1) : (opts.php || CONSTANTS.DEFAULTS.PHP);
+    const stackLabel = opts.stack || CONSTANTS.DEFAULTS.STACK;
+
+    // Server: --server (ID or name) > profile > ENV
+    const serverArg = opts.server !== undefined ? String(opts.server) : undefined;
+    const serverIsName = serverArg !== undefined && !/^\d+$/.test(serverArg);
+
+    // Secret Generation Policies
+    const secrets = this._resolveSecretPolicies(opts);
+
+    // User Credentials
+    const adminUser = opts.user || this.env.RC_ADMIN_USER || CONSTANTS.DEFAULTS.USER;
+    const adminPassword = opts.password || this.env.RC_ADMIN_PASSWORD || generateStrongPass(secrets.admin);
+    const isAutoPassword = !opts.password && !this.env.RC_ADMIN_PASSWORD;
+
+    // Feature Flags
+    const installHub = this._resolveFlag(opts.hub, this.env.RC_INSTALL_HUB, CONSTANTS.DEFAULTS.INSTALL_HUB);
+    const installSsl = this._resolveFlag(opts.ssl, this.env.RC_INSTALL_SSL, CONSTANTS.DEFAULTS.INSTALL_SSL);
+    const unrestrictedPhp = this._resolveFlag(opts.unrestricted, this.env.RC_UNRESTRICTED_PHP, CONSTANTS.DEFAULTS.UNRESTRICTED_PHP);
+    const rollbackOnFailure = this._resolveFlag(
+      opts['rollback-on-failure'],
+      this.env.RC_ROLLBACK_ON_FAILURE,
+      CONSTANTS.DEFAULTS.ROLLBACK_ON_FAILURE
+    );
+    const ensure = this._resolveFlag(opts.ensure, this.env.RC_ENSURE, CONSTANTS.DEFAULTS.ENSURE);
+
+    // API Client
+    const retries = opts.retries ?? (this.env.RC_RETRIES ? parseInt(this.env.RC_RETRIES, 10) : CONSTANTS.DEFAULTS.RETRIES);
+    const timeout = opts.timeout ?? (this.env.RC_TIMEOUT ? Number(this.env.RC_TIMEOUT) : CONSTANTS.DEFAULTS.TIMEOUT);
+
+    // Readiness Polling
+    const waitTimeout = opts['wait-timeout'] ?? (this.env.RC_WAIT_TIMEOUT ? Number(this.env.RC_WAIT_TIMEOUT) : CONSTANTS.DEFAULTS.WAIT_TIMEOUT);
+    const pollInterval = opts['poll-interval'] ?? (this.env.RC_POLL_INTERVAL ? Number(this.env.RC_POLL_INTERVAL) : CONSTANTS.DEFAULTS.POLL_INTERVAL);
+
+    // Credentials Store
+    const saveCredentials = this._resolveFlag(opts['save-credentials'], this.env.RC_SAVE_CREDENTIALS, CONSTANTS.DEFAULTS.SAVE_CREDENTIALS);
+
+    // SSL Settings
+    const ssl = this._resolveSslSettings(opts);
+
+    // Git Deployment
+    const git = this._resolveGit(opts);
+
+    // PHP-FPM Settings
+    const phpSettings = this._resolvePhpSettings(opts);
+
+    // Additional Domains
+    const wwwMode = opts.www || this.env.RC_WWW || CONSTANTS.DEFAULTS.WWW;
+    const extraDomains = this._resolveExtraDomains(opts.domain, opts.alias, wwwMode);
+
     // Hub Settings
-    const hubType = this.argv['hub-type'] || this.env.RC_HUB_TYPE || CONSTANTS.DEFAULTS.HUB_TYPE;
+    const hubType = opts['hub-type'] || this.env.RC_HUB_TYPE || CONSTANTS.DEFAULTS.HUB_TYPE;
     let redisObj = false;
-    if (this.argv['redis-obj'] !== undefined) redisObj = this.argv['redis-obj'];
+    if (opts['redis-obj'] !== undefined) redisObj = opts['redis-obj'];
     else if (this.env.RC_HUB_REDIS_OBJ) redisObj = this.env.RC_HUB_REDIS_OBJ === 'true';
 
     return {
-      serverId: this.env.RC_SERVER_ID,
-      apiKey: this.env.RC_API_KEY,
+      serverId: serverIsName ? undefined : (serverArg || this.profile?.serverId || this.env.RC_SERVER_ID),
+      serverName: serverIsName ? serverArg : undefined,
+      apiKey: this.profile?.apiKey || this.env.RC_API_KEY,
+      profileName: this.profile?.name,
+      dryRun: Boolean(this.argv['dry-run'] || this.argv['plan-json']),
+      http: { retries, timeoutMs: timeout * 1000 },
+      wait: { timeoutMs: waitTimeout * 1000, intervalMs: pollInterval * 1000 },
 
       // Determine App Type
-      appType: this.argv.type,
+      appType: opts.type || CONSTANTS.DEFAULTS.TYPE,
 
-      domainName: this.argv.domain,
-      appName: this.argv.app,
+      domainName: opts.domain,
+      appName: opts.app,
+      wwwMode,
+      extraDomains,
 
-      ownerId: this.argv.owner || (this.env.RC_DEFAULT_USER ? parseInt(this.env.RC_DEFAULT_USER) : undefined),
+      ownerId: opts.owner || (this.env.RC_DEFAULT_USER ? parseInt(this.env.RC_DEFAULT_USER) : undefined),
 
       // WP Admin
-      adminEmail: this.argv.email || this.env.RC_ADMIN_EMAIL || `admin@${this.argv.domain}`,
+      adminEmail: opts.email || this.env.RC_ADMIN_EMAIL || `admin@${opts.domain}`,
       adminUser,
       adminPassword,
       isAutoPassword,
+      secrets,
 
       // Stack & Version
-      phpVersion: CONSTANTS.PHP_VERSIONS[this.argv.php],
-      stack: CONSTANTS.STACKS[this.argv.stack],
-      stackLabel: this.argv.stack,
+      phpVersion: CONSTANTS.PHP_VERSIONS[php],
+      phpLabel: php,
+      stack: CONSTANTS.STACKS[stackLabel],
+      stackLabel,
 
       // Feature Config
       installHub,
       installSsl,
+      ssl,
+      git,
+      proxy: {
+        mode: opts.proxy || this.env.RC_PROXY_MODE || CONSTANTS.DEFAULTS.PROXY_MODE,
+        port: opts.port
+      },
       unrestrictedPhp,
+      phpSettings,
+      rollbackOnFailure,
+      ensure,
+      assumeYes: Boolean(opts.yes),
+      credentials: {
+        save: saveCredentials,
+        file: this.env.RC_CREDENTIALS_FILE || path.join(userConfigDir(this.env), 'credentials.enc'),
+        passphrase: this.env.RC_CREDENTIALS_PASSPHRASE
+      },
+      inventory: {
+        file: this.env.RC_INVENTORY_FILE || path.join(userConfigDir(this.env), 'inventory.json'),
+        limit: opts.limit
+      },
+      deleteDb: Boolean(opts['delete-db']),
+      dbName: opts.db,
+      dbUser: opts['db-user'] || (opts.db?.startsWith('db_') ? `u_${opts.db.slice(3)}` : undefined),
       hub: {
         type: hubType,
         redisObject: hubType === 'redis' ? redisObj : false
@@ -150,25 +542,315 @@ class ConfigManager {
     };
   }
 
+  /**
+   * Builds the list of domains to attach besides the primary one.
+   * The www counterpart of "www.example.com" is "example.com"; wildcard domains have none.
+   */
+  _resolveExtraDomains(domain, aliases, wwwMode) {
+    const extra = [];
+
+    if (domain && wwwMode !== 'none' && !domain.startsWith('*.')) {
+      const counterpart = domain.startsWith('www.') ? domain.slice(4) : `www.${domain}`;
+      extra.push({ name: counterpart, type: wwwMode === 'redirect' ? 'redirect' : 'alias' });
+    }
+
+    // Manifests may give a single alias as a string
+    [].concat(aliases || []).map(a => String(a).trim().toLowerCase()).filter(Boolean).forEach(name => {
+      if (name !== domain && !extra.some(d => d.name === name)) extra.push({ name, type: 'alias' });
+    });
+
+    return extra;
+  }
+
+  /**
+   * Resolves PHP-FPM settings, layered as: --php-set > settings file > profile.
+   * Resolves null when no setting is requested.
+   */
+  _resolvePhpSettings(opts) {
+    const profile = opts['php-profile'] || this.env.RC_PHP_PROFILE;
+    if (profile && !CONSTANTS.PHP_PROFILES[profile]) {
+      throw new Error(`Unknown PHP profile "${profile}". Use one of: ${Object.keys(CONSTANTS.PHP_PROFILES).join(', ')}.`);
+    }
+
+    // Manifest entries may give the settings inline instead of a file path
+    const file = opts['php-settings'];
+    const fileSettings = typeof file === 'string' ? this._loadSettingsFile(file) : (file || {});
+
+    const values = {
+      ...(profile ? CONSTANTS.PHP_PROFILES[profile] : {}),
+      ...normalizePhpSettings(fileSettings, typeof file === 'string' ? file : 'php-settings'),
+      ...normalizePhpSettings(parseSettingPairs(opts['php-set']), '--php-set')
+    };
+
+    // Curated list: the default restrictions minus the functions the app needs
+    if (opts['php-enable']) {
+      const enable = String(opts['php-enable']).split(',').map(f => f.trim()).filter(Boolean);
+      const base = values.disable_functions !== undefined
+        ? values.disable_functions.split(',').map(f => f.trim())
+        : CONSTANTS.DEFAULT_DISABLED_FUNCTIONS;
+      values.disable_functions = base.filter(f => f && !enable.includes(f)).join(',');
+    }
+
+    return Object.keys(values).length > 0 ? { profile, values } : null;
+  }
+
+  /**
+   * Reads a YAML/JSON settings file (a flat object of setting: value).
+   */
+  _loadSettingsFile(file) {
+    let data;
+    try {
+      data = YAML.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read PHP settings file ${file} (${error.code || error.message})`);
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error(`PHP settings file ${file} must contain an object of setting: value.`);
+    }
+    return data;
+  }
+
+  /**
+   * Resolves the Git deployment settings, or null when no repository is given.
+   * The deploy script is read here so a missing file fails before provisioning.
+   */
+  _resolveGit(opts) {
+    if (!opts['git-repo']) return null;
+
+    const provider = opts['git-provider'] || this.env.RC_GIT_PROVIDER || CONSTANTS.DEFAULTS.GIT_PROVIDER;
+    if (!CONSTANTS.GIT_PROVIDERS.includes(provider)) {
+      throw new Error(`Invalid Git provider "${provider}". Use one of: ${CONSTANTS.GIT_PROVIDERS.join(', ')}.`);
+    }
+
+    let deployScript = null;
+    const scriptFile = opts['git-deploy-script'];
+    if (scriptFile) {
+      try {
+        deployScript = fs.readFileSync(scriptFile, 'utf8');
+      } catch (error) {
+        throw new Error(`Could not read deploy script ${scriptFile} (${error.code || error.message})`);
+      }
+    }
+
+    return {
+      provider,
+      repository: provider === 'custom' ? opts['git-repo'] : toRepositoryPath(opts['git-repo']),
+      branch: opts['git-branch'] || this.env.RC_GIT_BRANCH || CONSTANTS.DEFAULTS.GIT_BRANCH,
+      deployScript,
+      deployScriptFile: scriptFile
+    };
+  }
+
+  /**
+   * Resolves the Let's Encrypt settings using CLI > ENV > Default.
+   * Invalid settings throw here, before anything is provisioned.
+   */
+  _resolveSslSettings(opts) {
+    const environment = opts['ssl-env'] || this.env.RC_SSL_ENV || CONSTANTS.DEFAULTS.SSL_ENV;
+    const method = opts['ssl-method'] || this.env.RC_SSL_METHOD || CONSTANTS.DEFAULTS.SSL_METHOD;
+    const dnsApiId = opts['ssl-dns-api'] ?? (this.env.RC_SSL_DNS_API ? Number(this.env.RC_SSL_DNS_API) : undefined);
+    const timeout = opts['ssl-timeout'] ?? (this.env.RC_SSL_TIMEOUT ? Number(this.env.RC_SSL_TIMEOUT) : CONSTANTS.DEFAULTS.SSL_TIMEOUT);
+    const dnsWait = opts['dns-wait'] ?? (this.env.RC_DNS_WAIT ? Number(this.env.RC_DNS_WAIT) : CONSTANTS.DEFAULTS.DNS_WAIT);
+
+    // ENV values bypass the yargs choices check
+    if (!CONSTANTS.SSL_ENVIRONMENTS.includes(environment)) {
+      throw new Error(`Invalid SSL environment "${environment}". Use one of: ${CONSTANTS.SSL_ENVIRONMENTS.join(', ')}.`);
+    }
+    if (!CONSTANTS.SSL_METHODS.includes(method)) {
+      throw new Error(`Invalid SSL method "${method}". Use one of: ${CONSTANTS.SSL_METHODS.join(', ')}.`);
+    }
+    if (method === 'dns-01' && !dnsApiId) {
+      throw new Error('The dns-01 method needs the DNS provider\'s 3rd Party API key ID (--ssl-dns-api or RC_SSL_DNS_API).');
+    }
+
+    return {
+      environment,
+      method,
+      dnsApiId,
+      hsts: this._resolveFlag(opts.hsts, this.env.RC_SSL_HSTS, CONSTANTS.DEFAULTS.SSL_HSTS),
+      forceHttps: this._resolveFlag(opts['force-https'], this.env.RC_SSL_FORCE_HTTPS, CONSTANTS.DEFAULTS.SSL_FORCE_HTTPS),
+      timeoutMs: timeout * 1000,
+      dnsCheck: this._resolveFlag(opts['dns-check'], this.env.RC_DNS_CHECK, CONSTANTS.DEFAULTS.DNS_CHECK),
+      dnsWaitMs: dnsWait * 1000
+    };
+  }
+
+  /**
+   * Resolves password and identifier policies using CLI > ENV > Default.
+   * Invalid policies throw here, before anything is provisioned.
+   */
+  _resolveSecretPolicies(opts) {
+    const number = (cliValue, envValue, fallback) => cliValue ?? (envValue ? Number(envValue) : fallback);
+    const classes = opts['password-classes'] || this.env.RC_PASSWORD_CLASSES || CONSTANTS.DEFAULTS.PASSWORD_CLASSES;
+
+    const secrets = {
+      admin: {
+        length: number(opts['password-length'], this.env.RC_PASSWORD_LENGTH, CONSTANTS.DEFAULTS.PASSWORD_LENGTH),
+        classes: classes.split(',').map(c => c.trim()).filter(Boolean),
+        exclude: opts['password-exclude'] ?? this.env.RC_PASSWORD_EXCLUDE ?? ''
+      },
+      db: {
+        length: number(opts['db-password-length'], this.env.RC_DB_PASSWORD_LENGTH, CONSTANTS.DEFAULTS.DB_PASSWORD_LENGTH),
+        exclude: opts['password-exclude'] ?? this.env.RC_PASSWORD_EXCLUDE ?? ''
+      },
+      idLength: number(opts['db-id-length'], this.env.RC_DB_ID_LENGTH, CONSTANTS.DEFAULTS.DB_ID_LENGTH)
+    };
+
+    // MySQL user names are limited to 32 characters, including the "u_" prefix
+    const { MIN, MAX } = CONSTANTS.DB_ID_LENGTH_RANGE;
+    if (!Number.isInteger(secrets.idLength) || secrets.idLength < MIN || secrets.idLength > MAX) {
+      throw new Error(`DB ID length must be between ${MIN} and ${MAX} (got ${secrets.idLength}).`);
+    }
+
+    // Generating once validates the policies (length, classes, exclusions)
+    generateStrongPass(secrets.admin);
+    generateDbPass(secrets.db);
+
+    return secrets;
+  }
+
+  /**
+   * Resolves a boolean feature flag using CLI > ENV ("true"/"false") > Default
+   */
+  _resolveFlag(cliValue, envValue, fallback) {
+    if (cliValue !== undefined) return cliValue;
+    if (envValue !== undefined) return envValue === 'true';
+    return fallback;
+  }
+
   /**
    * Validates required configuration fields.
    */
   _validate() {
-    const required = ['serverId', 'apiKey'];
-    const missing = required.filter(k => !this.config[k]);
+    // The credentials store and the inventory are local and need no API access
+    if (['creds', 'history', 'inventory'].includes(this.getCommand())) return;
+
+    // A plan never calls the API, so it can be produced without a key
+    const required = this.config.dryRun ? ['serverId'] : ['serverId', 'apiKey'];
+    // A server given by name is resolved to its ID later, through the API
+    const missing = required.filter(k => !this.config[k] && !(k === 'serverId' && this.config.serverName));
 
     if (missing.length > 0) {
       Logger.error(`Missing required config: ${missing.join(', ')}.`);
-      Logger.info('Please check your .env file or CLI arguments.');
+      Logger.info('Please check your profile, .env file or CLI arguments.');
+      process.exit(1);
+    }
+
+    const numberProblem = this.sites.map(site => this._numberProblem(site)).find(Boolean);
+    if (numberProblem) {
+      Logger.error(numberProblem);
+      process.exit(1);
+    }
+
+    // Commands on existing WebApps only need API access
+    if (this.getCommand() !== 'create') return;
+
+    if (this.isBatch()) {
+      // NaN would start no workers, and the batch would end without provisioning anything
+      const { concurrency } = this.getBatchOptions();
+      if (!Number.isInteger(concurrency) || concurrency < 1) {
+        Logger.error(`Concurrency must be a whole number of 1 or more (got ${concurrency}).`);
+        process.exit(1);
+      }
+      return this._validateManifestSites();
+    }
+
+    // RC_WWW bypasses the yargs choices check
+    if (!CONSTANTS.WWW_MODES.includes(this.config.wwwMode)) {
+      Logger.error(`Invalid www mode "${this.config.wwwMode}". Use one of: ${CONSTANTS.WWW_MODES.join(', ')}.`);
       process.exit(1);
     }
 
-    // Specific validation for Custom Apps
-    if (this.config.appType === CONSTANTS.APP_TYPES.CUSTOM && !this.config.ownerId) {
-      Logger.error('System User ID (Owner) is required for Custom Apps.');
+    // Specific validation for Custom and Node.js Apps
+    if (this.config.appType !== CONSTANTS.APP_TYPES.WORDPRESS && !this.config.ownerId) {
+      Logger.error('System User ID (Owner) is required for Custom and Node.js Apps.');
       Logger.info('Please provide --owner <id> or set RC_DEFAULT_USER in .env');
       process.exit(1);
     }
+
+    // WordPress ships its own code; Git deployment targets custom apps
+    if (this.config.git && this.config.appType === CONSTANTS.APP_TYPES.WORDPRESS) {
+      Logger.error('--git-repo is only supported for Custom and Node.js Apps (--type custom|node).');
+      process.exit(1);
+    }
+
+    const proxyProblem = this._proxyProblem(this.config);
+    if (proxyProblem) {
+      Logger.error(proxyProblem);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Checks the Node.js proxy settings. Returns a message, or null when they are valid.
+   */
+  _proxyProblem(site) {
+    if (!CONSTANTS.PROXY_MODES.includes(site.proxy.mode)) {
+      return `Invalid proxy mode "${site.proxy.mode}". Use one of: ${CONSTANTS.PROXY_MODES.join(', ')}.`;
+    }
+
+    const { port } = site.proxy;
+    const { MIN, MAX } = CONSTANTS.PORT_RANGE;
+    if (port !== undefined && (!Number.isInteger(port) || port < MIN || port > MAX)) {
+      return `Port must be an integer between ${MIN} and ${MAX} (got ${port}).`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Checks the numeric retry and timing settings. Returns a message, or null when they are valid.
+   * ENV and manifest values bypass the yargs number check, and NaN would make retry and poll loops endless.
+   */
+  _numberProblem(site) {
+    const positive = value => Number.isFinite(value) && value > 0;
+    const checks = [
+      ['Retries', site.http.retries, value => Number.isInteger(value) && value >= 0, 'a whole number of 0 or more'],
+      ['Request timeout', site.http.timeoutMs / 1000, positive, 'a positive number of seconds'],
+      ['Wait timeout', site.wait.timeoutMs / 1000, positive, 'a positive number of seconds'],
+      ['Poll interval', site.wait.intervalMs / 1000, positive, 'a positive number of seconds'],
+      ['SSL timeout', site.ssl.timeoutMs / 1000, positive, 'a positive number of seconds'],
+      // 0 (the default) skips SSL for a domain that does not point at the server yet
+      ['DNS wait', site.ssl.dnsWaitMs / 1000, value => Number.isFinite(value) && value >= 0, 'a number of seconds, 0 or more']
+    ];
+
+    const failed = checks.find(([, value, valid]) => !valid(value));
+    return failed ? `${failed[0]} must be ${failed[3]} (got ${failed[1]}).` : null;
+  }
+
+  /**
+   * Validates every manifest entry up front, since yargs only checks CLI input.
+   * Reports all problems at once before anything is provisioned.
+   */
+  _validateManifestSites() {
+    const problems = [];
+    const seen = new Set();
+
+    this.sites.forEach((site, i) => {
+      const label = `sites[${i}]${site.appName ? ` (${site.appName})` : ''}`;
+
+      if (!site.domainName) problems.push(`${label}: missing "domain"`);
+      if (!site.appName) problems.push(`${label}: missing "app"`);
+      if (!Object.values(CONSTANTS.APP_TYPES).includes(site.appType)) problems.push(`${label}: invalid type "${site.appType}"`);
+      if (!site.phpVersion) problems.push(`${label}: unsupported php "${site.phpLabel}"`);
+      if (!site.stack) problems.push(`${label}: unsupported stack "${site.stackLabel}"`);
+      if (!CONSTANTS.WWW_MODES.includes(site.wwwMode)) problems.push(`${label}: invalid www "${site.wwwMode}"`);
+      if (site.appType !== CONSTANTS.APP_TYPES.WORDPRESS && !site.ownerId) problems.push(`${label}: "owner" is required for ${site.appType} apps`);
+      if (site.git && site.appType === CONSTANTS.APP_TYPES.WORDPRESS) problems.push(`${label}: "git-repo" is only supported for custom and node apps`);
+
+      const proxyProblem = this._proxyProblem(site);
+      if (proxyProblem) problems.push(`${label}: ${proxyProblem}`);
+
+      if (site.appName && seen.has(site.appName)) problems.push(`${label}: duplicate app name`);
+      seen.add(site.appName);
+    });
+
+    if (problems.length > 0) {
+      Logger.error(`Invalid manifest ${this.argv.manifest}:`);
+      problems.forEach(p => Logger.info(`   ${p}`));
+      process.exit(1);
+    }
   }
 }
 
@@ -7,15 +7,82 @@ module.exports = Object.freeze({
   /** Base URL for RunCloud API v3 */
   API_BASE: 'https://manage.runcloud.io/api/v3',
 
+  /** HTTP retry tuning for the API client */
+  HTTP: {
+    BASE_DELAY_MS: 1000, // First backoff step, doubled per attempt
+    MAX_DELAY_MS: 30000  // Upper bound for backoff and Retry-After
+  },
+
+  /** Fixed delay used when WebApp readiness cannot be polled */
+  FALLBACK_DELAY_MS: 5000,
+
+  /** How the www counterpart of the domain is handled */
+  WWW_MODES: ['add', 'redirect', 'none'],
+
+  /** Let's Encrypt environments and challenge methods */
+  SSL_ENVIRONMENTS: ['live', 'staging'],
+  SSL_METHODS: ['http-01', 'dns-01'],
+
+  /** Git providers RunCloud can deploy from ('custom' takes a full clone URL) */
+  GIT_PROVIDERS: ['github', 'gitlab', 'bitbucket', 'custom'],
+
+  /**
+   * PHP-FPM settings that can be tuned, by php.ini-style name.
+   * `field` is the fpmnginx API field; `size` values are sent in MB.
+   */
+  PHP_SETTINGS: {
+    memory_limit: { field: 'memoryLimit', type: 'size' },
+    upload_max_filesize: { field: 'uploadMaxFilesize', type: 'size' },
+    post_max_size: { field: 'postMaxSize', type: 'size' },
+    max_execution_time: { field: 'maxExecutionTime', type: 'int' },
+    pm: { field: 'processManager', type: 'enum', values: ['ondemand', 'dynamic', 'static'] },
+    pm_max_children: { field: 'processManagerMaxChildren', type: 'int' },
+    open_basedir: { field: 'openBasedir', type: 'string' },
+    disable_functions: { field: 'disableFunctions', type: 'string' }
+  },
+
+  /** Named PHP settings profiles (--php-profile) */
+  PHP_PROFILES: {
+    woocommerce: { memory_limit: 512, upload_max_filesize: 128, post_max_size: 128, max_execution_time: 300, pm: 'dynamic', pm_max_children: 20 },
+    lowmem: { memory_limit: 128, upload_max_filesize: 16, post_max_size: 16, max_execution_time: 60, pm: 'ondemand', pm_max_children: 4 },
+    dev: { memory_limit: 512, upload_max_filesize: 256, post_max_size: 256, max_execution_time: 600, pm: 'ondemand', pm_max_children: 5 }
+  },
+
+  /** RunCloud's default disable_functions list, the base for --php-enable */
+  DEFAULT_DISABLED_FUNCTIONS: [
+    'getmyuid', 'passthru', 'leak', 'listen', 'diskfreespace', 'tmpfile', 'link', 'shell_exec', 'dl', 'exec',
+    'system', 'highlight_file', 'source', 'show_source', 'fpassthru', 'virtual', 'posix_ctermid', 'posix_getcwd',
+    'posix_getegid', 'posix_geteuid', 'posix_getgid', 'posix_getgrgid', 'posix_getgrnam', 'posix_getgroups',
+    'posix_getlogin', 'posix_getpgid', 'posix_getpgrp', 'posix_getpid', 'posix_getppid', 'posix_getpwuid',
+    'posix_getrlimit', 'posix_getsid', 'posix_getuid', 'posix_isatty', 'posix_kill', 'posix_mkfifo', 'posix_setegid',
+    'posix_seteuid', 'posix_setgid', 'posix_setpgid', 'posix_setsid', 'posix_setuid', 'posix_times', 'posix_ttyname',
+    'posix_uname', 'proc_open', 'proc_close', 'proc_nice', 'proc_terminate', 'escapeshellcmd', 'ini_alter', 'popen',
+    'pcntl_exec', 'socket_accept', 'socket_bind', 'socket_clear_error', 'socket_close', 'socket_connect', 'symlink',
+    'socket_listen', 'socket_create_listen', 'socket_read', 'socket_create_pair', 'stream_socket_server'
+  ],
+
+  /** Allowed random suffix length for db_<id> / u_<id> names (MySQL user names max 32 chars) */
+  DB_ID_LENGTH_RANGE: { MIN: 8, MAX: 30 },
+
   /**
    * Supported Application Types.
    * Determines the provisioning strategy.
    */
   APP_TYPES: {
     WORDPRESS: 'wordpress',
-    CUSTOM: 'custom'
+    CUSTOM: 'custom',
+    NODE: 'node'        // Custom app behind an Nginx reverse proxy
   },
 
+  /**
+   * Where the proxy snippet of a Node.js app is written:
+   * 'local' (this machine is the server), 'api' (RunCloud Nginx config) or 'auto' (local when possible).
+   */
+  PROXY_MODES: ['auto', 'local', 'api'],
+
+  /** Usable range for explicitly requested app ports */
+  PORT_RANGE: { MIN: 1024, MAX: 65535 },
+
   /**
    * Supported Server Stacks mapping.
    * Maps CLI/Config values to API-compatible strings.
@@ -52,11 +119,60 @@ module.exports = Object.freeze({
     HUB_TYPE: 'native',
     REDIS_OBJ: false,
 
-    // SSL Default
+    // SSL Defaults
     INSTALL_SSL: false,
+    SSL_ENV: 'live',
+    SSL_METHOD: 'http-01',
+    SSL_HSTS: false,
+    SSL_FORCE_HTTPS: true,  // Redirect HTTP to HTTPS once the certificate is active
+    SSL_TIMEOUT: 180,       // Max seconds to wait for issuance
+    DNS_CHECK: true,        // Check that DNS points at the server before requesting (http-01)
+    DNS_WAIT: 0,            // Max seconds to wait for DNS propagation (0: skip SSL right away)
+
+    // www counterpart of the domain: add | redirect | none
+    WWW: 'none',
+
+    // Node.js Apps
+    PROXY_MODE: 'auto',
+
+    // Git Deployment (Custom Apps)
+    GIT_PROVIDER: 'github',
+    GIT_BRANCH: 'main',
 
     // PHP Security Default (False = Secure/Restricted)
-    UNRESTRICTED_PHP: false
+    UNRESTRICTED_PHP: false,
+
+    // Secret Generation Policies
+    PASSWORD_LENGTH: 20,
+    PASSWORD_CLASSES: 'lower,upper,digit,symbol',
+    DB_PASSWORD_LENGTH: 26,
+    DB_ID_LENGTH: 12,
+
+    // Save generated credentials to the encrypted local store
+    SAVE_CREDENTIALS: true,
+
+    // Undo created resources when a step fails
+    ROLLBACK_ON_FAILURE: false,
+
+    // Reconcile an existing WebApp instead of failing to create it again
+    ENSURE: false,
+
+    // Manifest Mode: sites provisioned in parallel
+    CONCURRENCY: 3,
+
+    // API Client: retries per request and timeout (seconds)
+    RETRIES: 3,
+    TIMEOUT: 30,
+
+    // Console verbosity: quiet | normal | verbose | debug
+    LOG_LEVEL: 'normal',
+
+    // Runs shown by `history`
+    HISTORY_LIMIT: 20,
+
+    // Readiness polling after creation (seconds)
+    WAIT_TIMEOUT: 120,
+    POLL_INTERVAL: 3
   }
 });
 
@@ -0,0 +1,141 @@
+/**
+ * Local encrypted store for generated site credentials.
+ * Entries are kept as one JSON list, encrypted with AES-256-GCM under a key derived
+ * from a passphrase via scrypt. Only Node's built-in crypto is used.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { JsonFile } = require('../utils/jsonFile');
+
+/** scrypt cost parameters; maxmem must cover 128 * N * r bytes */
+const KDF = Object.freeze({ N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024, keyLength: 32 });
+const FORMAT_VERSION = 1;
+
+class CredentialStore {
+  /**
+   * @param {string} file Path of the encrypted store file.
+   * @param {Function} getPassphrase Async callback returning the passphrase (asked at most once).
+   */
+  constructor(file, getPassphrase) {
+    this.file = file;
+    this.getPassphrase = getPassphrase;
+    this.passphrase = null;
+    this.store = new JsonFile(file);
+  }
+
+  /**
+   * Obtains the passphrase and checks it against the existing store, if any.
+   * Call before any output-heavy work so the prompt is not buried in logs.
+   */
+  async unlock() {
+    if (this.passphrase) return;
+    this.passphrase = await this.getPassphrase({ isNew: !(await this.exists()) });
+    if (!this.passphrase) throw new Error('A passphrase is required for the credentials store.');
+    await this.list();
+  }
+
+  /**
+   * Returns all stored entries.
+   */
+  async list() {
+    const envelope = await this.store.read();
+    return envelope ? this._decrypt(envelope) : [];
+  }
+
+  /**
+   * Returns the latest entry for an app name or WebApp ID, or null.
+   */
+  async find(ref) {
+    const entries = await this.list();
+    return entries.filter(e => e.app === ref || String(e.webAppId) === String(ref)).pop() || null;
+  }
+
+  /**
+   * Appends an entry. Writes are serialized, so concurrent batch runs cannot lose entries.
+   */
+  add(entry) {
+    return this.store.update(async () => {
+      const entries = await this.list();
+      entries.push({ ...entry, savedAt: new Date().toISOString() });
+      await this._write(entries);
+    });
+  }
+
+  /**
+   * Removes every entry `match(entry)` accepts. Resolves with the number removed.
+   */
+  remove(match) {
+    return this.store.update(async () => {
+      const entries = await this.list();
+      const kept = entries.filter(entry => !match(entry));
+      if (kept.length < entries.length) await this._write(kept);
+      return entries.length - kept.length;
+    });
+  }
+
+  /**
+   * Encrypts and atomically replaces the store file (mode 0600).
+   */
+  async _write(entries) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this._deriveKey(salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(entries), 'utf8'), cipher.final()]);
+
+    const envelope = {
+      version: FORMAT_VERSION,
+      kdf: { name: 'scrypt', N: KDF.N, r: KDF.r, p: KDF.p, salt: salt.toString('base64') },
+      cipher: 'aes-256-gcm',
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+
+    await this.store.write(envelope);
+  }
+
+  /**
+   * Decrypts a store envelope. GCM authentication rejects a wrong passphrase or a tampered file.
+   */
+  _decrypt(envelope) {
+    if (envelope.version !== FORMAT_VERSION) {
+      throw new Error(`Unsupported credentials store version: ${envelope.version}`);
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(
+        'aes-256-gcm',
+        this._deriveKey(Buffer.from(envelope.kdf.salt, 'base64'), envelope.kdf),
+        Buffer.from(envelope.iv, 'base64')
+      );
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      const plain = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+      return JSON.parse(plain.toString('utf8'));
+    } catch {
+      throw new Error(`Could not decrypt ${this.file}: wrong passphrase or corrupted store.`);
+    }
+  }
+
+  /**
+   * Derives the AES key from the passphrase.
+   */
+  _deriveKey(salt, params = KDF) {
+    if (!this.passphrase) throw new Error('Credentials store is locked.');
+    return crypto.scryptSync(this.passphrase, salt, KDF.keyLength, {
+      N: params.N, r: params.r, p: params.p, maxmem: KDF.maxmem
+    });
+  }
+
+  /** True when the store file exists */
+  async exists() {
+    try {
+      await fs.access(this.file);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+module.exports = { CredentialStore };
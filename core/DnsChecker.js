@@ -0,0 +1,95 @@
+/**
+ * DNS pre-flight for SSL.
+ * Checks that a domain's A/AAAA records point at the server before a certificate is requested,
+ * so a missing DNS change does not cost a Let's Encrypt attempt.
+ */
+
+const dns = require('dns');
+const { sleep } = require('../utils/helpers');
+
+/** Resolver errors that just mean "no such record" */
+const NO_RECORD_CODES = ['ENODATA', 'ENOTFOUND', 'ENONAME', 'NXDOMAIN'];
+
+class DnsChecker {
+  /**
+   * @param {object} [resolver] Anything with `resolve4` / `resolve6` (Default: `dns.promises`).
+   */
+  constructor(resolver = dns.promises) {
+    this.resolver = resolver;
+  }
+
+  /**
+   * Resolves the A and AAAA records of a domain. Missing records resolve as empty lists.
+   */
+  async lookup(domain) {
+    const [ipv4, ipv6] = await Promise.all([
+      this._resolve('resolve4', domain),
+      this._resolve('resolve6', domain)
+    ]);
+    return { ipv4, ipv6 };
+  }
+
+  /**
+   * Compares a domain's records with the server's addresses.
+   * Every record must point at the server: Let's Encrypt may validate over IPv6,
+   * so a stale AAAA record fails issuance even when the A record is right.
+   * @param {object} server `ipv4` and optional `ipv6` address of the server.
+   * @returns {Promise<{ok: boolean, addresses: string[]}>}
+   */
+  async check(domain, server) {
+    const { ipv4, ipv6 } = await this.lookup(domain);
+    const addresses = [...ipv4, ...ipv6];
+
+    const ok = addresses.length > 0
+      && ipv4.every(ip => ip === server.ipv4)
+      && ipv6.every(ip => server.ipv6 && normalizeIpv6(ip) === normalizeIpv6(server.ipv6));
+
+    return { ok, addresses };
+  }
+
+  /**
+   * Re-checks until the domain points at the server or the timeout is reached.
+   * @param {Function} [options.onPoll] Called with (elapsedMs, addresses) before each wait.
+   */
+  async waitFor(domain, server, { timeoutMs, intervalMs, onPoll = () => {} }) {
+    const started = Date.now();
+
+    while (true) {
+      const result = await this.check(domain, server);
+      if (result.ok) return result;
+
+      const elapsed = Date.now() - started;
+      if (elapsed + intervalMs > timeoutMs) return result;
+
+      onPoll(elapsed, result.addresses);
+      await sleep(intervalMs);
+    }
+  }
+
+  /**
+   * Runs one resolver query, treating "no record" answers as an empty list.
+   */
+  async _resolve(method, domain) {
+    try {
+      return await this.resolver[method](domain);
+    } catch (error) {
+      if (NO_RECORD_CODES.includes(error.code)) return [];
+      throw error;
+    }
+  }
+}
+
+/**
+ * Expands an IPv6 address so "2001:db8::1" and "2001:0db8:0:0:0:0:0:1" compare equal.
+ */
+function normalizeIpv6(ip) {
+  const [head, tail = ''] = ip.toLowerCase().split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const groups = ip.includes('::')
+    ? [...left, ...Array(8 - left.length - right.length).fill('0'), ...right]
+    : left;
+  return groups.map(g => g.replace(/^0+(?=.)/, '')).join(':');
+}
+
+module.exports = { DnsChecker };
@@ -0,0 +1,65 @@
+/**
+ * Drop-in RunCloudClient that records requests instead of sending them.
+ * Used by plan / dry-run mode to show the exact API calls a run would make.
+ */
+
+const { RunCloudClient } = require('./RunCloudClient');
+
+/** Placeholders for IDs that only exist once RunCloud has created the resource */
+const PLACEHOLDERS = Object.freeze({
+  WEBAPP_ID: '{webAppId}',
+  GIT_ID: '{gitId}'
+});
+
+/** Domain IDs are named after the domain, so plans with several domains stay readable */
+const domainPlaceholder = (name) => `{domainId:${name}}`;
+
+class DryRunClient extends RunCloudClient {
+  constructor(apiKey, serverId, options = {}) {
+    super(apiKey, serverId, options);
+    this.calls = [];
+    this.domainNames = [];
+  }
+
+  /**
+   * Returns the recorded calls in the order they would be sent.
+   */
+  getPlan() {
+    return this.calls;
+  }
+
+  /**
+   * Records the call and answers with a simulated response so the caller's flow continues.
+   */
+  async _request(endpoint, method, body = null) {
+    this.calls.push({ method, endpoint, body: body && method !== 'GET' ? body : null });
+    return this._simulate(endpoint, method, body);
+  }
+
+  /**
+   * Builds the minimal response shape each caller reads.
+   */
+  _simulate(endpoint, method, body) {
+    if (method === 'POST' && /\/webapps\/(wordpress|custom)$/.test(endpoint)) {
+      this.domainNames = [body.domainName];
+      return { id: PLACEHOLDERS.WEBAPP_ID, name: body.name };
+    }
+
+    if (method === 'POST' && endpoint.endsWith('/git')) {
+      return { id: PLACEHOLDERS.GIT_ID };
+    }
+
+    if (method === 'POST' && endpoint.endsWith('/domains')) {
+      this.domainNames.push(body.name);
+      return { id: domainPlaceholder(body.name), name: body.name };
+    }
+
+    if (method === 'GET' && endpoint.endsWith('/domains')) {
+      return { data: this.domainNames.map(name => ({ id: domainPlaceholder(name), name })) };
+    }
+
+    return {};
+  }
+}
+
+module.exports = { DryRunClient, PLACEHOLDERS };
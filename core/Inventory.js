@@ -0,0 +1,117 @@
+/**
+ * Local inventory of provisioning runs.
+ * Every run is appended to one JSON file, so `history` can list what was done and `inventory`
+ * can fold the runs into the last known state of each site. No secrets are stored.
+ */
+
+const { JsonFile } = require('../utils/jsonFile');
+
+const FORMAT_VERSION = 1;
+
+/** Step runs that change a recorded flag when they succeed */
+const STEP_FLAGS = Object.freeze({ hub: 'hub', ssl: 'ssl' });
+
+/** Ensure outcomes after which the step matches the run's configuration */
+const RECONCILED = ['created', 'changed', 'unchanged'];
+
+class Inventory {
+  /**
+   * @param {string} file Path of the inventory file.
+   */
+  constructor(file) {
+    this.file = file;
+    this.store = new JsonFile(file);
+  }
+
+  /**
+   * Returns every recorded run, oldest first.
+   */
+  async runs() {
+    const doc = await this.store.read();
+    if (!doc) return [];
+    if (doc.version !== FORMAT_VERSION) throw new Error(`Unsupported inventory version: ${doc.version}`);
+    return doc.runs;
+  }
+
+  /**
+   * Appends a run. Writes are serialized, so concurrent batch runs cannot lose entries.
+   */
+  record(run) {
+    return this.store.update(async () => {
+      const runs = await this.runs();
+      runs.push({ at: new Date().toISOString(), ...run });
+      await this.store.write({ version: FORMAT_VERSION, runs });
+    });
+  }
+
+  /**
+   * Folds the runs into the last known state of each site (keyed by server and WebApp ID).
+   * `create` runs (and `ensure` runs that created the site) set the state; later ssl/hub/php runs and
+   * ensure runs on the existing site update only what they applied or checked. Rolled back and deleted sites are dropped.
+   * @returns {Promise<object[]>} Sites, in order of creation.
+   */
+  async sites() {
+    const sites = new Map();
+
+    for (const run of await this.runs()) {
+      if (run.webAppId === undefined || run.webAppId === null) continue;
+      const key = `${run.serverId}/${run.webAppId}`;
+
+      // Ensure leaves unrequested steps (e.g. SSL with --no-ssl) alone, so they keep their recorded state
+      if (run.command === 'ensure' && run.changes?.webapp === 'unchanged' && sites.has(key)) {
+        this._mergeEnsure(sites.get(key), run);
+        continue;
+      }
+
+      if (run.command === 'create' || run.command === 'ensure') {
+        if (run.rolledBack) sites.delete(key);
+        else sites.set(key, { ...run, flags: { ...run.flags }, lastRun: run.at });
+        continue;
+      }
+
+      if (run.command === 'delete') {
+        if (run.status === 'success') sites.delete(key);
+        continue;
+      }
+
+      const site = sites.get(key);
+      if (!site) continue;
+      site.lastRun = run.at;
+
+      const ok = run.steps?.[run.command] === 'ok';
+      if (ok && STEP_FLAGS[run.command]) site.flags[STEP_FLAGS[run.command]] = true;
+      // Certificates issued by a partly failed ssl run still count
+      if (run.command === 'ssl' && run.sslDomains?.length) {
+        site.flags.ssl = true;
+        site.sslDomains = [...new Set([...(site.sslDomains || []), ...run.sslDomains])];
+      }
+      if (ok && run.command === 'php' && run.phpSettings) site.phpSettings = { ...site.phpSettings, ...run.phpSettings };
+      if (ok && run.command === 'php' && run.flags?.unrestricted) site.flags.unrestricted = true;
+    }
+
+    return [...sites.values()];
+  }
+
+  /**
+   * Applies an ensure run on an existing site to its recorded state, step by step.
+   */
+  _mergeEnsure(site, run) {
+    const reconciled = (step) => RECONCILED.includes(run.changes[step]);
+    site.lastRun = run.at;
+
+    // Read from the server, plus any the run attached
+    if (run.domains?.length) site.domains = run.domains;
+    if (reconciled('phpVersion')) Object.assign(site, { phpVersion: run.phpVersion, phpLabel: run.phpLabel });
+    if (reconciled('hub')) site.flags.hub = true;
+    if (run.sslDomains?.length) {
+      site.flags.ssl = true;
+      site.sslDomains = [...new Set([...(site.sslDomains || []), ...run.sslDomains])];
+    }
+    if (reconciled('php')) {
+      if (run.phpSettings) site.phpSettings = { ...site.phpSettings, ...run.phpSettings };
+      if (run.flags?.unrestricted) site.flags.unrestricted = true;
+    }
+  }
+}
+
+module.exports = { Inventory };
@@ -0,0 +1,547 @@
+/**
+ * Nginx reverse proxy snippets for Node.js apps on RunCloud.
+ * Shared by setup-proxy.js and the `node` app type, which both run on the server as root.
+ */
+
+const fs = require('fs').promises;
+const fsConstants = require('fs').constants;
+const path = require('path');
+const { exec } = require('child_process');
+const net = require('net');
+const util = require('util');
+const { Logger } = require('../utils/logger');
+
+const execPromise = util.promisify(exec);
+
+// Constants
+const CONFIG_DIR = '/etc/nginx-rc/extra.d';
+const CONFIG_SUFFIX = '.location.root.server.conf';
+
+/** Local upstream address in a snippet: host in group 1, port in group 2 */
+const LOCAL_UPSTREAM = /(127\.0\.0\.1|localhost|\[::1\]):(\d+)/g;
+
+/** Commands that validate and reload Nginx; overridable so the flow can run against a temp dir */
+const NGINX_COMMANDS = Object.freeze({
+  test: 'nginx-rc -t',
+  reload: 'systemctl reload nginx-rc'
+});
+
+/** Backups of replaced and removed snippets, kept in a sub directory Nginx does not include */
+const BACKUP_DIR = '.backup';
+const BACKUP_KEEP = 10;
+
+/** Default range for automatically allocated ports */
+const PORT_RANGE = Object.freeze({ MIN: 3000, MAX: 3999 });
+
+/** RunCloud web application names: letters, digits, "-" and "_" */
+const SITE_NAME = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+/**
+ * File name of a site's proxy snippet.
+ * Every snippet and backup path is built from it, so names like "../x" never leave the config dir.
+ */
+function configFileName(site) {
+  assertSiteName(site);
+  return `${site}${CONFIG_SUFFIX}`;
+}
+
+/**
+ * Rejects site names that are not valid RunCloud web application names.
+ */
+function assertSiteName(site) {
+  if (typeof site !== 'string' || !SITE_NAME.test(site)) {
+    throw new Error(`Invalid site name "${site}". Use the RunCloud app name: letters, digits, "-" and "_".`);
+  }
+}
+
+/** Headers every preset forwards to the app */
+const FORWARD_HEADERS = [
+  'proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;',
+  'proxy_set_header X-Forwarded-Proto $scheme;',
+  'proxy_set_header X-Real-IP $remote_addr;',
+  'proxy_set_header Host $http_host;'
+];
+
+/**
+ * Built-in snippet presets.
+ * `directives` are added after the forwarded headers; `readTimeout` (seconds) and `pathPrefix` are defaults
+ * that the matching options override.
+ */
+const PROXY_PRESETS = Object.freeze({
+  basic: {
+    description: 'Plain HTTP proxy',
+    directives: []
+  },
+  websocket: {
+    description: 'HTTP/1.1 with Upgrade/Connection headers for WebSockets',
+    directives: [
+      'proxy_http_version 1.1;',
+      'proxy_set_header Upgrade $http_upgrade;',
+      'proxy_set_header Connection "upgrade";'
+    ],
+    readTimeout: 3600
+  },
+  sse: {
+    description: 'Server-Sent Events: unbuffered, long-lived responses',
+    directives: [
+      'proxy_http_version 1.1;',
+      'proxy_set_header Connection "";',
+      'proxy_buffering off;',
+      'proxy_cache off;'
+    ],
+    readTimeout: 3600
+  },
+  'static+api': {
+    description: 'Nginx serves the site\'s static files, only the API path is proxied',
+    directives: [],
+    pathPrefix: '/api'
+  }
+});
+
+/** Placeholders a user template may use, e.g. `proxy_pass http://127.0.0.1:{{port}};` */
+const TEMPLATE_PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Renders the proxy snippet for an app listening on 127.0.0.1:<port>.
+ * Without options this is the plain `basic` snippet.
+ * @param {number} port
+ * @param {object} [options]
+ * @param {string} [options.preset] One of PROXY_PRESETS (Default: basic).
+ * @param {number} [options.readTimeout] proxy_read_timeout in seconds.
+ * @param {string} [options.maxBodySize] client_max_body_size, e.g. "50m".
+ * @param {string} [options.pathPrefix] Only proxy this path (e.g. "/api"), in a nested location.
+ * @param {string} [options.template] Content of a user template; replaces the preset.
+ * @param {string} [options.site] Site name, available to templates as {{site}}.
+ */
+function renderProxyConfig(port, { preset = 'basic', readTimeout, maxBodySize, pathPrefix, template, site } = {}) {
+  const spec = PROXY_PRESETS[preset];
+  if (!spec) throw new Error(`Unknown proxy preset "${preset}". Use: ${Object.keys(PROXY_PRESETS).join(', ')}`);
+
+  const settings = {
+    port,
+    site,
+    readTimeout: readTimeout ?? spec.readTimeout,
+    maxBodySize,
+    pathPrefix: normalizePathPrefix(pathPrefix ?? spec.pathPrefix)
+  };
+  validateProxySettings(settings);
+
+  if (template !== undefined) return renderTemplate(template, settings);
+
+  const lines = [...FORWARD_HEADERS, ...spec.directives];
+  if (settings.readTimeout) lines.push(`proxy_read_timeout ${settings.readTimeout}s;`);
+  if (settings.maxBodySize) lines.push(`client_max_body_size ${settings.maxBodySize};`);
+  lines.push(`proxy_pass http://127.0.0.1:${port};`);
+
+  // The snippet sits inside the site's root location; a nested location limits the proxy to the prefix
+  if (!settings.pathPrefix) return lines.join('\n');
+  return [`location ${settings.pathPrefix} {`, ...lines.map(line => `    ${line}`), '}'].join('\n');
+}
+
+/**
+ * Fills a user template's {{placeholders}}. Placeholders without a value are an error,
+ * so a template never goes live with a literal "{{...}}" or an empty directive.
+ */
+function renderTemplate(template, settings) {
+  const values = {
+    port: settings.port,
+    site: settings.site,
+    read_timeout: settings.readTimeout && `${settings.readTimeout}s`,
+    max_body_size: settings.maxBodySize,
+    path: settings.pathPrefix
+  };
+
+  const content = template.replace(TEMPLATE_PLACEHOLDER, (match, name) => {
+    if (!(name in values)) throw new Error(`Unknown placeholder ${match} in proxy template. Use: ${Object.keys(values).map(v => `{{${v}}}`).join(', ')}`);
+    if (values[name] === undefined || values[name] === null) throw new Error(`Proxy template uses ${match}, but no value was given for it.`);
+    return String(values[name]);
+  });
+
+  if (!parsePorts(content).includes(settings.port)) {
+    throw new Error(`Proxy template must proxy to 127.0.0.1:{{port}}, so the port can be tracked.`);
+  }
+  return content.trim();
+}
+
+/**
+ * Ensures a path prefix starts and ends with "/", so "/api" does not also match "/apiary".
+ */
+function normalizePathPrefix(prefix) {
+  if (!prefix) return undefined;
+  const trimmed = prefix.trim().replace(/^\/*/, '/').replace(/\/*$/, '/');
+  return trimmed === '/' ? undefined : trimmed;
+}
+
+/**
+ * Rejects option values that would produce an invalid or unsafe snippet.
+ */
+function validateProxySettings({ readTimeout, maxBodySize, pathPrefix }) {
+  if (readTimeout !== undefined && !(Number.isInteger(readTimeout) && readTimeout > 0)) {
+    throw new Error(`Read timeout must be a whole number of seconds (got "${readTimeout}").`);
+  }
+  if (maxBodySize !== undefined && !/^\d+[kmg]?$/i.test(maxBodySize)) {
+    throw new Error(`Max body size must be a size like 512k, 50m or 1g (got "${maxBodySize}").`);
+  }
+  if (pathPrefix !== undefined && !/^\/[\w\-./]*$/.test(pathPrefix)) {
+    throw new Error(`Path prefix may only contain letters, digits, "-", "_", "." and "/" (got "${pathPrefix}").`);
+  }
+}
+
+/**
+ * Reads every proxied local port from a snippet (127.0.0.1, localhost or [::1]).
+ */
+function parsePorts(content) {
+  const ports = [...content.matchAll(LOCAL_UPSTREAM)].map(m => parseInt(m[2], 10));
+  return [...new Set(ports)];
+}
+
+/**
+ * Collects the ports used by every site's snippet.
+ * @returns {Promise<Map<number, string>>} Port -> site name.
+ */
+async function collectUsedPorts(configDir = CONFIG_DIR) {
+  const used = new Map();
+
+  let files;
+  try {
+    files = await fs.readdir(configDir);
+  } catch (error) {
+    // If directory doesn't exist yet, no port is taken
+    if (error.code === 'ENOENT') return used;
+    throw new Error(`Port Auto-Discovery Failed: ${error.message}`);
+  }
+
+  // Filter for files strictly matching the naming convention
+  const confFiles = files.filter(f => f.endsWith(CONFIG_SUFFIX));
+
+  // Process files in parallel for performance
+  await Promise.all(confFiles.map(async (file) => {
+    try {
+      const site = file.slice(0, -CONFIG_SUFFIX.length);
+      parsePorts(await fs.readFile(path.join(configDir, file), 'utf8')).forEach(port => used.set(port, site));
+    } catch (err) {
+      Logger.warn(`Could not read config file: ${file}. Skipping.`);
+    }
+  }));
+
+  return used;
+}
+
+/**
+ * True when nothing listens on the port, checked by binding it briefly.
+ */
+function isPortFree(port, host = '127.0.0.1') {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.once('error', (error) => {
+      if (error.code === 'EADDRINUSE' || error.code === 'EACCES') resolve(false);
+      else reject(error);
+    });
+    server.listen({ port, host, exclusive: true }, () => server.close(() => resolve(true)));
+  });
+}
+
+/**
+ * Picks the lowest port in the range that no snippet uses and, with `probe`, nothing is bound to.
+ * Ports freed by removed sites are reused.
+ * @param {Map<number, string>|number[]} used Ports taken by proxy configs.
+ */
+async function findFreePort(used, { min = PORT_RANGE.MIN, max = PORT_RANGE.MAX, probe = true } = {}) {
+  const taken = new Set(used instanceof Map ? used.keys() : used);
+
+  for (let port = min; port <= max; port++) {
+    if (taken.has(port)) continue;
+    if (probe && !(await isPortFree(port))) continue;
+    return port;
+  }
+
+  throw new Error(`No free port between ${min} and ${max}.`);
+}
+
+/**
+ * Allocates a port for a new proxy on this server: free in every snippet and not bound by any process.
+ */
+async function allocatePort({ configDir = CONFIG_DIR, min, max } = {}) {
+  return findFreePort(await collectUsedPorts(configDir), { min, max, probe: true });
+}
+
+/**
+ * Rejects an explicit port that another site's snippet already uses.
+ * @param {Map<number, string>} used Port -> site name.
+ */
+function assertPortUnclaimed(port, site, used) {
+  const owner = used.get(port);
+  if (owner && owner !== site) {
+    throw new Error(`Port ${port} is already proxied for site "${owner}".`);
+  }
+}
+
+/**
+ * Lists the proxy snippets in the config dir, sorted by site.
+ * @returns {Promise<Array<{site: string, ports: number[], file: string}>>}
+ */
+async function listProxyConfigs(configDir = CONFIG_DIR) {
+  let files;
+  try {
+    files = await fs.readdir(configDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const configs = await Promise.all(files.filter(f => f.endsWith(CONFIG_SUFFIX)).map(async (file) => {
+    const filePath = path.join(configDir, file);
+    return {
+      site: file.slice(0, -CONFIG_SUFFIX.length),
+      ports: parsePorts(await fs.readFile(filePath, 'utf8')),
+      file: filePath
+    };
+  }));
+
+  return configs.sort((a, b) => a.site.localeCompare(b.site));
+}
+
+/**
+ * True when the site has a proxy snippet.
+ */
+async function hasProxyConfig(site, { configDir = CONFIG_DIR } = {}) {
+  return (await readIfExists(path.join(configDir, configFileName(site)))) !== null;
+}
+
+/**
+ * Writes a site's snippet, validates it with `nginx-rc -t` and reloads Nginx.
+ * Refuses to replace an existing snippet unless `force` is set.
+ * @param {object} [options] `configDir`, `force`, `commands` (see NGINX_COMMANDS), plus the renderProxyConfig options (preset, template, ...).
+ * @returns {Promise<string>} Path of the written file.
+ */
+async function installProxyConfig(site, port, { configDir = CONFIG_DIR, force = false, commands, ...renderOptions } = {}) {
+  const filePath = path.join(configDir, configFileName(site));
+
+  if (!force && (await readIfExists(filePath)) !== null) {
+    throw new Error(`A proxy config for "${site}" already exists (${filePath}). Use --force to replace it, or update to change its port.`);
+  }
+
+  // Render before touching the file, so bad options never reach Nginx
+  const content = renderProxyConfig(port, { site, ...renderOptions });
+  await applyConfigChange(filePath, content, commands);
+  return filePath;
+}
+
+/**
+ * Points an existing snippet at a new port, keeping the rest of the file as is.
+ * @returns {Promise<number[]>} The ports it proxied before.
+ */
+async function updateProxyPort(site, port, { configDir = CONFIG_DIR, commands } = {}) {
+  const filePath = path.join(configDir, configFileName(site));
+  const content = await readIfExists(filePath);
+  if (content === null) throw new Error(`No proxy config for "${site}" (${filePath}).`);
+
+  assertPortUnclaimed(port, site, await collectUsedPorts(configDir));
+
+  await applyConfigChange(filePath, content.replace(LOCAL_UPSTREAM, `$1:${port}`), commands);
+  return parsePorts(content);
+}
+
+/**
+ * Deletes a site's snippet, validates the remaining config and reloads Nginx.
+ */
+async function removeProxyConfig(site, { configDir = CONFIG_DIR, commands } = {}) {
+  const filePath = path.join(configDir, configFileName(site));
+  if ((await readIfExists(filePath)) === null) throw new Error(`No proxy config for "${site}" (${filePath}).`);
+
+  await applyConfigChange(filePath, null, commands);
+}
+
+/**
+ * Rolls a site's snippet back to a backup (restoring a removed snippet too), then validates and reloads Nginx.
+ * The replaced version is backed up like any other change, so restoring again without `backup` undoes the restore;
+ * older versions are picked by name.
+ * @param {object} [options] `configDir`, `commands`, `backup` (file name from listProxyBackups, Default: latest).
+ * @returns {Promise<{restored: string, saved: string|null}>} Path of the restored backup, and of the backup of the replaced version.
+ */
+async function restoreProxyConfig(site, { configDir = CONFIG_DIR, commands, backup } = {}) {
+  const filePath = path.join(configDir, configFileName(site));
+  const backups = await listBackups(filePath);
+  if (backups.length === 0) throw new Error(`No backup of the proxy config for "${site}" in ${path.join(configDir, BACKUP_DIR)}.`);
+
+  const restored = backup ? backups.find(file => path.basename(file) === backup) : backups[backups.length - 1];
+  if (!restored) {
+    throw new Error(`No backup "${backup}" of the proxy config for "${site}". Available: ${backups.map(file => path.basename(file)).join(', ')}`);
+  }
+
+  // Another site may have taken the port since the backup was made
+  const content = await fs.readFile(restored, 'utf8');
+  const used = await collectUsedPorts(configDir);
+  parsePorts(content).forEach(port => assertPortUnclaimed(port, site, used));
+
+  const saved = await applyConfigChange(filePath, content, commands);
+  return { restored, saved };
+}
+
+/**
+ * Backups of a site's snippet, oldest first.
+ */
+async function listProxyBackups(site, { configDir = CONFIG_DIR } = {}) {
+  return listBackups(path.join(configDir, configFileName(site)));
+}
+
+/**
+ * Replaces a snippet (or deletes it, for null content), then validates and reloads Nginx.
+ * The new content is written to a temp file and renamed into place, and the previous version is kept
+ * as a timestamped backup. If the syntax check or the reload fails, the previous version is put back,
+ * so the files on disk always match what Nginx runs.
+ * @returns {Promise<string|null>} Path of the backup, or null when there was no previous version.
+ */
+async function applyConfigChange(filePath, content, commands = NGINX_COMMANDS) {
+  const previous = await readIfExists(filePath);
+  const backupPath = previous !== null ? await writeBackup(filePath, previous) : null;
+
+  // The backup of a change that did not go live would just duplicate the live file
+  const dropBackup = async () => {
+    if (backupPath) await fs.rm(backupPath, { force: true });
+  };
+  const restorePrevious = async () => {
+    if (previous === null) await fs.rm(filePath, { force: true });
+    else await writeAtomic(filePath, previous);
+    await dropBackup();
+  };
+
+  // Neither a failed write nor a failed unlink touches the live file
+  try {
+    if (content === null) await fs.unlink(filePath);
+    else await writeAtomic(filePath, content);
+  } catch (writeError) {
+    await dropBackup();
+    throw writeError;
+  }
+
+  try {
+    await execPromise(commands.test);
+  } catch (testError) {
+    // Rollback on syntax error
+    await restorePrevious();
+    throw new Error(`Nginx Syntax Check Failed. Reverting changes. Details: ${(testError.stderr || testError.message).trim()}`);
+  }
+
+  try {
+    await execPromise(commands.reload);
+  } catch (reloadError) {
+    // Nginx keeps running the old config when a reload fails, so put the old file back to match it
+    await restorePrevious();
+    throw new Error(`Nginx Reload Failed. Reverting changes. Details: ${(reloadError.stderr || reloadError.message).trim()}`);
+  }
+
+  return backupPath;
+}
+
+/**
+ * Writes a file via a temp file in the same directory and a rename, so readers never see it half-written.
+ * The temp name does not end in .conf, so Nginx never includes it.
+ */
+async function writeAtomic(filePath, content) {
+  const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+  try {
+    await fs.writeFile(tempPath, content);
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Saves a copy of a snippet as <config dir>/.backup/<file>.<timestamp> and prunes the oldest copies.
+ * @returns {Promise<string>} Path of the backup.
+ */
+async function writeBackup(filePath, content) {
+  const backupDir = path.join(path.dirname(filePath), BACKUP_DIR);
+  await fs.mkdir(backupDir, { recursive: true });
+
+  // e.g. 20261019T163628123Z: sorts chronologically as text
+  const stamp = new Date().toISOString().replace(/[-:.]/g, '');
+  const base = path.join(backupDir, `${path.basename(filePath)}.${stamp}`);
+
+  // Changes within the same millisecond (e.g. a restore right after an update) get a counter instead of overwriting
+  let backupPath = base;
+  for (let n = 1; ; n++) {
+    try {
+      await fs.writeFile(backupPath, content, { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      backupPath = `${base}-${n}`;
+    }
+  }
+
+  const backups = await listBackups(filePath);
+  await Promise.all(backups.slice(0, -BACKUP_KEEP).map(file => fs.rm(file, { force: true })));
+  return backupPath;
+}
+
+/**
+ * Backups of a snippet, oldest first.
+ */
+async function listBackups(filePath) {
+  const backupDir = path.join(path.dirname(filePath), BACKUP_DIR);
+  const prefix = `${path.basename(filePath)}.`;
+
+  let files;
+  try {
+    files = await fs.readdir(backupDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return files.filter(f => f.startsWith(prefix)).sort().map(f => path.join(backupDir, f));
+}
+
+/**
+ * Reads a file, or resolves null when it does not exist.
+ */
+async function readIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * True when this process can write proxy snippets, i.e. it runs on the server as root.
+ */
+async function canWriteLocally(configDir = CONFIG_DIR) {
+  if (process.getuid && process.getuid() !== 0) return false;
+  try {
+    await fs.access(configDir, fsConstants.W_OK);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  CONFIG_DIR,
+  NGINX_COMMANDS,
+  PORT_RANGE,
+  PROXY_PRESETS,
+  configFileName,
+  assertSiteName,
+  renderProxyConfig,
+  parsePorts,
+  collectUsedPorts,
+  isPortFree,
+  findFreePort,
+  allocatePort,
+  assertPortUnclaimed,
+  listProxyConfigs,
+  hasProxyConfig,
+  installProxyConfig,
+  updateProxyPort,
+  removeProxyConfig,
+  restoreProxyConfig,
+  listProxyBackups,
+  canWriteLocally
+};
@@ -3,28 +3,171 @@
  */
 
 const CONSTANTS = require('../config/constants');
+const { Logger } = require('../utils/logger');
+const { sleep } = require('../utils/helpers');
+
+/** Methods that are safe to repeat after an ambiguous failure */
+const IDEMPOTENT_METHODS = ['GET', 'PUT', 'PATCH', 'DELETE'];
+
+/** WebApp states that mean RunCloud is still setting the app up */
+const PENDING_STATE = /pending|creating|installing|processing|deploying/i;
+
+/** Certificate states reported once Let's Encrypt has answered */
+const SSL_ACTIVE_STATE = /^(active|issued|installed|valid|success)/i;
+const SSL_FAILED_STATE = /fail|error|invalid|revoked|expired/i;
 
 class RunCloudClient {
   /**
    * Creates an instance of the client.
+   * @param {object} [options] `retries` and `timeoutMs` per request.
    */
-  constructor(apiKey, serverId) {
+  constructor(apiKey, serverId, options = {}) {
     this.apiKey = apiKey;
     this.serverId = serverId;
+    this.retries = options.retries ?? CONSTANTS.DEFAULTS.RETRIES;
+    this.timeoutMs = options.timeoutMs ?? CONSTANTS.DEFAULTS.TIMEOUT * 1000;
+  }
+
+  /**
+   * Finds a server on the account by exact name. Resolves null if none exists.
+   */
+  async findServerByName(name) {
+    const result = await this._request(`/servers?search=${encodeURIComponent(name)}`, 'GET');
+    return (result.data || []).find(server => server.name === name) || null;
+  }
+
+  /**
+   * Fetches the details of the configured server (name, IP addresses, ...).
+   */
+  async getServer() {
+    return this._request(`/servers/${this.serverId}`, 'GET');
   }
 
   /**
    * Provisions a standard WordPress WebApp.
+   * A retry after a timeout/5xx first checks whether the app was created anyway.
    */
   async createWordPress(payload) {
-    return this._request(`/servers/${this.serverId}/webapps/wordpress`, 'POST', payload);
+    return this._createWebApp('wordpress', payload);
   }
 
   /**
    * Provisions a Custom (Empty) WebApp.
+   * A retry after a timeout/5xx first checks whether the app was created anyway.
    */
   async createCustomWebApp(payload) {
-    return this._request(`/servers/${this.serverId}/webapps/custom`, 'POST', payload);
+    return this._createWebApp('custom', payload);
+  }
+
+  /**
+   * Sends a create call. After an ambiguous failure, an app with the same name is only adopted
+   * when none existed before the call; it is then flagged `adopted`, since this run cannot be
+   * sure it created it.
+   */
+  async _createWebApp(type, payload) {
+    const before = await this.findWebAppByName(payload.name);
+
+    return this._request(`/servers/${this.serverId}/webapps/${type}`, 'POST', payload, {
+      retry: 'verify',
+      verify: async () => {
+        if (before) return null;
+        const found = await this.findWebAppByName(payload.name);
+        return found && { ...found, adopted: true };
+      }
+    });
+  }
+
+  /**
+   * Finds a WebApp on the server by its exact name. Resolves null if none exists.
+   */
+  async findWebAppByName(name) {
+    const result = await this._request(`/servers/${this.serverId}/webapps?search=${encodeURIComponent(name)}`, 'GET');
+    return (result.data || []).find(app => app.name === name) || null;
+  }
+
+  /**
+   * Retrieves every WebApp on the server, following pagination.
+   */
+  async listWebApps() {
+    const webApps = [];
+    for (let page = 1; ; page++) {
+      const result = await this._request(`/servers/${this.serverId}/webapps?page=${page}`, 'GET');
+      webApps.push(...(result.data || []));
+
+      const pagination = result.meta?.pagination;
+      if (!pagination || page >= pagination.total_pages) return webApps;
+    }
+  }
+
+  /**
+   * Finds the WebApp a domain is attached to. Resolves null if none serves it.
+   * Reads the domains of every WebApp, so prefer a lookup by name when one is known.
+   */
+  async findWebAppByDomain(domainName) {
+    for (const webApp of await this.listWebApps()) {
+      const domains = await this.getDomains(webApp.id);
+      if ((domains.data || []).some(d => d.name === domainName)) return webApp;
+    }
+    return null;
+  }
+
+  /**
+   * Resolves a WebApp from a name or a numeric ID. Resolves null if none matches.
+   */
+  async findWebApp(ref) {
+    if (/^\d+$/.test(String(ref))) {
+      try {
+        return await this.getWebApp(ref);
+      } catch (error) {
+        // A purely numeric name is still possible
+        if (error.status !== 404) throw error;
+      }
+    }
+    return this.findWebAppByName(String(ref));
+  }
+
+  /**
+   * Retrieves a single WebApp.
+   */
+  async getWebApp(webAppId) {
+    return this._request(`/servers/${this.serverId}/webapps/${webAppId}`, 'GET');
+  }
+
+  /**
+   * Polls the WebApp and its domains until RunCloud reports them ready.
+   * Resolves true when ready, false when `timeoutMs` elapses first.
+   * Rejects on errors that polling cannot fix (auth, permissions, unsupported endpoint).
+   * @param {object} options `domainName`, `timeoutMs`, `intervalMs` and an optional `onPoll(elapsedMs, reason)`.
+   */
+  async waitForWebApp(webAppId, { domainName, timeoutMs, intervalMs, onPoll = () => {} }) {
+    const started = Date.now();
+
+    while (true) {
+      let reason;
+      try {
+        const webApp = await this.getWebApp(webAppId);
+        const state = String(webApp.state ?? webApp.status ?? '');
+
+        if (PENDING_STATE.test(state)) {
+          reason = `webapp ${state}`;
+        } else {
+          const domains = await this.getDomains(webAppId);
+          const attached = (domains.data || []).some(d => d.name === domainName);
+          if (attached) return true;
+          reason = 'domain not attached yet';
+        }
+      } catch (error) {
+        // 404 just means the app is not visible yet; anything else 4xx will not resolve by waiting
+        if (error.status !== 404 && !(error.status >= 500) && !error.transient) throw error;
+        reason = error.status === 404 ? 'webapp not visible yet' : error.message.split('\n')[0];
+      }
+
+      const elapsed = Date.now() - started;
+      if (elapsed + intervalMs > timeoutMs) return false;
+
+      onPoll(elapsed, reason);
+      await sleep(intervalMs);
+    }
   }
 
   /**
@@ -40,6 +183,18 @@ class RunCloudClient {
     return this._request(`/servers/${this.serverId}/webapps/${webAppId}/runcloudhub`, 'POST', payload);
   }
 
+  /**
+   * Fetches the RunCloud Hub settings of a WebApp. Resolves null when Hub is not installed.
+   */
+  async getHub(webAppId) {
+    try {
+      return await this._request(`/servers/${this.serverId}/webapps/${webAppId}/runcloudhub`, 'GET');
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
   /**
    * Retrieves list of domains for a WebApp to find the internal Domain ID
    */
@@ -47,25 +202,154 @@ class RunCloudClient {
     return this._request(`/servers/${this.serverId}/webapps/${webAppId}/domains`, 'GET');
   }
 
+  /**
+   * Attaches an additional domain to a WebApp.
+   * @param {object} domain `name` and `type` ('alias' serves the site, 'redirect' forwards to the primary domain).
+   */
+  async addDomain(webAppId, domain) {
+    return this._request(`/servers/${this.serverId}/webapps/${webAppId}/domains`, 'POST', {
+      name: domain.name,
+      type: domain.type
+    });
+  }
+
   /**
    * Provisions SSL via Let's Encrypt.
+   * @param {object} sslConfig `environment`, `method`, `dnsApiId`, `hsts` and `forceHttps`.
    */
-  async installSsl(webAppId, domainId) {
+  async installSsl(webAppId, domainId, sslConfig) {
     const payload = {
       advancedSSL: true,
       autoSSL: false,
       provider: "letsencrypt",
-      enableHttp: false,
-      enableHsts: false,
-      authorizationMethod: "http-01",
-      environment: "live"
+      enableHttp: !sslConfig.forceHttps,
+      enableHsts: sslConfig.hsts,
+      authorizationMethod: sslConfig.method,
+      environment: sslConfig.environment
     };
+
+    // DNS-01 proves ownership through a DNS provider key stored in RunCloud (3rd Party API)
+    if (sslConfig.method === 'dns-01') payload.externalApi = sslConfig.dnsApiId;
+
     return this._request(`/servers/${this.serverId}/webapps/${webAppId}/domains/${domainId}/ssl`, 'POST', payload);
   }
 
+  /**
+   * Fetches the SSL certificate details of a domain.
+   */
+  async getSsl(webAppId, domainId) {
+    return this._request(`/servers/${this.serverId}/webapps/${webAppId}/domains/${domainId}/ssl`, 'GET');
+  }
+
+  /**
+   * Resolves true when the domain has an issued certificate (a 404 means none was requested).
+   */
+  async isSslActive(webAppId, domainId) {
+    try {
+      const ssl = await this.getSsl(webAppId, domainId);
+      return SSL_ACTIVE_STATE.test(String(ssl.status ?? ssl.state ?? ''));
+    } catch (error) {
+      if (error.status === 404) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Polls a domain's certificate until it is issued or has failed.
+   * Resolves 'active', 'failed' or 'pending' (timed out); `detail` carries the reported state.
+   * @param {Function} [options.onPoll] Called with (elapsedMs, state) before each wait.
+   */
+  async waitForSsl(webAppId, domainId, { timeoutMs, intervalMs, onPoll = () => {} }) {
+    const started = Date.now();
+
+    while (true) {
+      let state;
+      try {
+        const ssl = await this.getSsl(webAppId, domainId);
+        state = String(ssl.status ?? ssl.state ?? '');
+
+        if (SSL_ACTIVE_STATE.test(state)) return { status: 'active', detail: state };
+        if (SSL_FAILED_STATE.test(state)) return { status: 'failed', detail: state };
+      } catch (error) {
+        // 404 means the request has not been registered yet
+        if (error.status !== 404 && !(error.status >= 500) && !error.transient) throw error;
+        state = error.status === 404 ? 'not requested yet' : error.message.split('\n')[0];
+      }
+
+      const elapsed = Date.now() - started;
+      if (elapsed + intervalMs > timeoutMs) return { status: 'pending', detail: state || 'unknown' };
+
+      onPoll(elapsed, state || 'pending');
+      await sleep(intervalMs);
+    }
+  }
+
+  /**
+   * Attaches a Git repository to a WebApp and clones it.
+   * @param {object} git `provider`, `repository` and `branch`.
+   */
+  async attachGit(webAppId, git) {
+    return this._request(`/servers/${this.serverId}/webapps/${webAppId}/git`, 'POST', {
+      provider: git.provider,
+      repository: git.repository,
+      branch: git.branch
+    });
+  }
+
+  /**
+   * Registers the script RunCloud runs after each Git deployment.
+   */
+  async updateGitScript(webAppId, gitId, script) {
+    return this._request(`/servers/${this.serverId}/webapps/${webAppId}/git/${gitId}/script`, 'PATCH', {
+      autoDeploy: true,
+      deployScript: script
+    });
+  }
+
+  /**
+   * Fetches the SSH deployment key of a system user (to add to the Git provider).
+   */
+  async getDeploymentKey(userId) {
+    return this._request(`/servers/${this.serverId}/users/${userId}/deploymentkey`, 'GET');
+  }
+
+  /**
+   * Lists the custom Nginx configs of a WebApp.
+   */
+  async listNginxConfigs(webAppId) {
+    const result = await this._request(`/servers/${this.serverId}/webapps/${webAppId}/nginx`, 'GET');
+    return result.data || [];
+  }
+
+  /**
+   * Adds a custom Nginx config to a WebApp.
+   * @param {object} config `type` (e.g. 'location.root'), `name` and `content`.
+   */
+  async createNginxConfig(webAppId, config) {
+    return this._request(`/servers/${this.serverId}/webapps/${webAppId}/nginx`, 'POST', {
+      type: config.type,
+      name: config.name,
+      content: config.content
+    });
+  }
+
+  /**
+   * Switches the WebApp to another PHP version (API value, e.g. 'php83rc').
+   */
+  async updatePhpVersion(webAppId, phpVersion) {
+    return this._request(`/servers/${this.serverId}/webapps/${webAppId}/settings/php`, 'PATCH', { phpVersion });
+  }
+
+  /**
+   * Fetches the current PHP-FPM / Nginx Settings.
+   */
+  async getFpmSettings(webAppId) {
+    return this._request(`/servers/${this.serverId}/webapps/${webAppId}/settings/fpmnginx`, 'GET');
+  }
+
   /**
    * Updates PHP-FPM / Nginx Settings via PATCH.
-   * Used to modify disabled functions.
+   * Used to modify disabled functions, limits and the process manager.
    */
   async updateFpmSettings(webAppId, payload) {
     return this._request(
@@ -76,9 +360,91 @@ class RunCloudClient {
   }
 
   /**
-   * Wrapper for the Fetch API.
+   * Deletes a WebApp (and its primary domain).
+   */
+  async deleteWebApp(webAppId) {
+    return this._request(`/servers/${this.serverId}/webapps/${webAppId}`, 'DELETE');
+  }
+
+  /**
+   * Finds a database on the server by exact name. Resolves null if none exists.
    */
-  async _request(endpoint, method, body = null) {
+  async findDatabaseByName(name) {
+    const result = await this._request(`/servers/${this.serverId}/databases?search=${encodeURIComponent(name)}`, 'GET');
+    return (result.data || []).find(db => db.name === name) || null;
+  }
+
+  /**
+   * Finds a database user on the server by exact username. Resolves null if none exists.
+   */
+  async findDatabaseUserByName(name) {
+    const result = await this._request(`/servers/${this.serverId}/databaseusers?search=${encodeURIComponent(name)}`, 'GET');
+    return (result.data || []).find(user => user.username === name) || null;
+  }
+
+  /**
+   * Deletes a database.
+   */
+  async deleteDatabase(databaseId) {
+    return this._request(`/servers/${this.serverId}/databases/${databaseId}`, 'DELETE');
+  }
+
+  /**
+   * Deletes a database user.
+   */
+  async deleteDatabaseUser(databaseUserId) {
+    return this._request(`/servers/${this.serverId}/databaseusers/${databaseUserId}`, 'DELETE');
+  }
+
+  /**
+   * Detaches a domain from a WebApp.
+   */
+  async deleteDomain(webAppId, domainId) {
+    return this._request(`/servers/${this.serverId}/webapps/${webAppId}/domains/${domainId}`, 'DELETE');
+  }
+
+  /**
+   * Revokes and removes the SSL certificate of a domain.
+   */
+  async deleteSsl(webAppId, domainId) {
+    return this._request(`/servers/${this.serverId}/webapps/${webAppId}/domains/${domainId}/ssl`, 'DELETE');
+  }
+
+  /**
+   * Sends a request, retrying transient failures with exponential backoff.
+   *
+   * Retry policies:
+   * - 'always'   (GET/PATCH/PUT/DELETE): network errors, timeouts, 429 and 5xx.
+   * - 'rejected' (POST): only failures where the request was certainly not processed (429, connection refused).
+   * - 'verify'   (create calls): like 'always', but after an ambiguous failure `verify()` is asked
+   *              whether the resource exists already, and its result is returned instead of re-sending.
+   */
+  async _request(endpoint, method, body = null, { retry, verify } = {}) {
+    const policy = retry || (IDEMPOTENT_METHODS.includes(method) ? 'always' : 'rejected');
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this._send(endpoint, method, body);
+      } catch (error) {
+        if (attempt >= this.retries || !this._isRetryable(error, policy)) throw error;
+
+        if (policy === 'verify' && error.status !== 429) {
+          // If the lookup itself fails we cannot rule out a duplicate, so give up
+          const existing = await verify().catch(() => { throw error; });
+          if (existing) return existing;
+        }
+
+        const delay = this._retryDelay(attempt, error.retryAfter);
+        Logger.warn(`${method} ${endpoint}: ${error.message.split('\n')[0]} - retrying in ${(delay / 1000).toFixed(1)}s (${attempt + 1}/${this.retries})`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Wrapper for the Fetch API. Performs exactly one attempt with a timeout.
+   */
+  async _send(endpoint, method, body) {
     const url = `${CONSTANTS.API_BASE}${endpoint}`;
     const headers = {
       'Content-Type': 'application/json',
@@ -86,38 +452,107 @@ class RunCloudClient {
       Authorization: `Bearer ${this.apiKey}`,
     };
 
-    const options = { method, headers };
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    const options = { method, headers, signal: controller.signal };
     if (body && method !== 'GET') options.body = JSON.stringify(body);
 
+    const started = Date.now();
+    const elapsed = () => `${Date.now() - started}ms`;
+
     try {
       const response = await fetch(url, options);
-      const data = await response.json();
+      const data = await this._parseBody(response);
+      Logger.debug(`${method} ${url} -> ${response.status} (${elapsed()})`);
 
-      if (!response.ok) this._handleError(response.status, data);
+      if (!response.ok) this._handleError(response.status, data, response.headers.get('retry-after'));
       return data;
     } catch (error) {
+      if (error.status === undefined) Logger.debug(`${method} ${url} -> ${error.name === 'AbortError' ? 'timeout' : error.cause?.code || error.message} (${elapsed()})`);
+      if (error.name === 'AbortError') {
+        const timeoutError = new Error(`Request Timeout: ${method} ${endpoint} took longer than ${this.timeoutMs / 1000}s.`);
+        timeoutError.transient = true;
+        throw timeoutError;
+      }
       if (error.cause?.code === 'ENOTFOUND') {
         throw new Error('Network Error: Could not connect to RunCloud API. Check internet connection.');
       }
+      if (error.cause?.code) {
+        const networkError = new Error(`Network Error (${error.cause.code}): ${error.message}`);
+        networkError.code = error.cause.code;
+        networkError.transient = true;
+        throw networkError;
+      }
       throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Reads the response body without assuming it is JSON.
+   * Proxies in front of RunCloud answer 502/504 with HTML, and DELETE may answer 204.
+   */
+  async _parseBody(response) {
+    const text = await response.text();
+    if (!text) return {};
+
+    try {
+      return JSON.parse(text);
+    } catch {
+      const snippet = text.replace(/\s+/g, ' ').trim().slice(0, 200);
+      if (response.ok) throw new Error(`Unexpected Response (${response.status}): expected JSON, got "${snippet}"`);
+      return { message: `Non-JSON response: "${snippet}"` };
     }
   }
 
+  /**
+   * Decides whether a failed attempt may be sent again under the given policy.
+   */
+  _isRetryable(error, policy) {
+    if (error.status === 429) return true;
+    if (policy === 'rejected') return error.code === 'ECONNREFUSED';
+    return error.transient === true || error.status >= 500;
+  }
+
+  /**
+   * Exponential backoff with jitter, or the server's Retry-After when given.
+   */
+  _retryDelay(attempt, retryAfter) {
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const ms = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+      if (ms >= 0) return Math.min(ms, CONSTANTS.HTTP.MAX_DELAY_MS);
+    }
+    const ceiling = Math.min(CONSTANTS.HTTP.BASE_DELAY_MS * 2 ** attempt, CONSTANTS.HTTP.MAX_DELAY_MS);
+    return ceiling / 2 + Math.random() * (ceiling / 2);
+  }
+
   /**
    * Converts HTTP error codes into readable exceptions.
+   * The status (and Retry-After header) are kept on the error for the retry logic.
    */
-  _handleError(status, data) {
+  _handleError(status, data, retryAfter = null) {
     const msg = data.message || JSON.stringify(data);
+    let message;
     switch (status) {
-      case 401: throw new Error(`Authentication Failed (401): Invalid Bearer Token.`);
-      case 403: throw new Error(`Permission Denied (403): Credentials valid but access denied. Check RC_SERVER_ID.`);
+      case 401: message = `Authentication Failed (401): Invalid Bearer Token.`; break;
+      case 403: message = `Permission Denied (403): Credentials valid but access denied. Check RC_SERVER_ID.`; break;
       case 422:
         let detailStr = '';
         // Parse validation errors array into a readable string
         if (data.errors) detailStr = '\n   ' + Object.keys(data.errors).map(k => `${k}: ${data.errors[k].join(', ')}`).join('\n   ');
-        throw new Error(`Validation Error (422): ${msg}${detailStr}`);
-      default: throw new Error(`API Error (${status}): ${msg}`);
+        message = `Validation Error (422): ${msg}${detailStr}`;
+        break;
+      case 429: message = `Rate Limited (429): ${msg}`; break;
+      default: message = `API Error (${status}): ${msg}`;
     }
+
+    const error = new Error(message);
+    error.status = status;
+    error.retryAfter = retryAfter;
+    throw error;
   }
 }
 
@@ -0,0 +1,228 @@
+/**
+ * systemd units for Node.js apps behind a setup-proxy.js reverse proxy.
+ * The unit starts the app on boot, restarts it on crash and passes the proxied port as PORT.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const net = require('net');
+const { exec } = require('child_process');
+const util = require('util');
+const { sleep } = require('../utils/helpers');
+
+const execPromise = util.promisify(exec);
+
+// Constants
+const UNIT_DIR = '/etc/systemd/system';
+const UNIT_PREFIX = 'node-';
+
+/** The port in a generated ExecStart line: prefix in group 1, port in group 2 */
+const EXEC_PORT = /^(ExecStart=\/usr\/bin\/env PORT=)(\d+)/m;
+
+/** Default systemctl binary; overridable so the flow can run against a temp dir */
+const SYSTEMCTL = 'systemctl';
+
+/**
+ * Unit name of a site's app, e.g. "node-shop.service".
+ */
+function unitName(site) {
+  return `${UNIT_PREFIX}${site}.service`;
+}
+
+/**
+ * Renders the unit file.
+ * @param {object} service
+ * @param {string} service.site Site name, used in the description.
+ * @param {string} service.workdir Absolute working directory of the app.
+ * @param {string} service.command Start command, e.g. "npm start" or "/usr/bin/node server.js".
+ * @param {string} service.user System user the app runs as.
+ * @param {string} [service.envFile] Absolute path of an environment file.
+ * @param {number} service.port Port the app must listen on, passed as PORT.
+ */
+function renderUnit({ site, workdir, command, user, envFile, port }) {
+  validateService({ site, workdir, command, user, envFile });
+
+  // PORT is set through env(1): values from an EnvironmentFile= would override Environment=PORT.
+  // env also looks relative commands up in PATH, which older systemd versions do not do themselves
+  const execStart = `/usr/bin/env PORT=${port} ${command}`;
+
+  return [
+    '[Unit]',
+    `Description=Node.js app ${site} (setup-proxy.js)`,
+    'After=network.target',
+    '',
+    '[Service]',
+    'Type=simple',
+    `User=${user}`,
+    `WorkingDirectory=${workdir}`,
+    'Environment=NODE_ENV=production',
+    ...(envFile ? [`EnvironmentFile=${envFile}`] : []),
+    `ExecStart=${execStart}`,
+    'Restart=always',
+    'RestartSec=5',
+    '',
+    '[Install]',
+    'WantedBy=multi-user.target',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Rejects values that would break the unit file or run something unintended.
+ */
+function validateService({ site, workdir, command, user, envFile }) {
+  if (!/^[\w.-]+$/.test(site)) throw new Error(`Site name "${site}" is not usable as a unit name.`);
+  if (!workdir || !path.isAbsolute(workdir)) throw new Error('Service working directory must be an absolute path.');
+  if (!command || !command.trim() || /[\r\n]/.test(command)) throw new Error('Service start command must be a single line.');
+  if (!user || !/^[a-z_][a-z0-9_-]*\$?$/i.test(user)) throw new Error(`Invalid service user "${user}".`);
+  if (envFile !== undefined && !path.isAbsolute(envFile)) throw new Error('Service environment file must be an absolute path.');
+}
+
+/**
+ * Writes the unit, then enables and starts it.
+ * Refuses to replace an existing unit unless `force` is set.
+ * @returns {Promise<string>} Path of the unit file.
+ */
+async function installService(service, { unitDir = UNIT_DIR, systemctl = SYSTEMCTL, force = false } = {}) {
+  const unit = unitName(service.site);
+  const filePath = path.join(unitDir, unit);
+  const content = renderUnit(service);
+
+  if (!force && await exists(filePath)) {
+    throw new Error(`A service for "${service.site}" already exists (${filePath}). Use --force to replace it.`);
+  }
+
+  await fs.mkdir(unitDir, { recursive: true });
+  await fs.writeFile(filePath, content);
+  await execPromise(`${systemctl} daemon-reload`);
+  await execPromise(`${systemctl} enable ${unit}`);
+  await execPromise(`${systemctl} restart ${unit}`);
+  return filePath;
+}
+
+/**
+ * Points an existing unit at a new port and restarts it.
+ * @returns {Promise<number|null>} The previous port, or null when the site has no unit.
+ */
+async function updateServicePort(site, port, { unitDir = UNIT_DIR, systemctl = SYSTEMCTL } = {}) {
+  const filePath = path.join(unitDir, unitName(site));
+  if (!await exists(filePath)) return null;
+
+  const content = await fs.readFile(filePath, 'utf8');
+  const match = content.match(EXEC_PORT);
+  if (!match) throw new Error(`${filePath} does not set PORT in ExecStart; it was not created by setup-proxy.js.`);
+
+  await fs.writeFile(filePath, content.replace(EXEC_PORT, `$1${port}`));
+  await execPromise(`${systemctl} daemon-reload`);
+  await execPromise(`${systemctl} restart ${unitName(site)}`);
+  return parseInt(match[2], 10);
+}
+
+/**
+ * Stops, disables and deletes a site's unit.
+ * @returns {Promise<boolean>} False when the site has no unit.
+ */
+async function removeService(site, { unitDir = UNIT_DIR, systemctl = SYSTEMCTL } = {}) {
+  const filePath = path.join(unitDir, unitName(site));
+  if (!await exists(filePath)) return false;
+
+  await execPromise(`${systemctl} disable --now ${unitName(site)}`);
+  await fs.unlink(filePath);
+  await execPromise(`${systemctl} daemon-reload`);
+  return true;
+}
+
+/**
+ * Stops a site's unit, leaving it installed. Resolves false when the site has no unit.
+ */
+async function stopService(site, { unitDir = UNIT_DIR, systemctl = SYSTEMCTL } = {}) {
+  if (!await exists(path.join(unitDir, unitName(site)))) return false;
+  await execPromise(`${systemctl} stop ${unitName(site)}`);
+  return true;
+}
+
+/**
+ * Puts back a unit read with readService before it was replaced, and restarts it.
+ * Null content means the site had no unit, so the current one is removed.
+ */
+async function restoreService(site, content, { unitDir = UNIT_DIR, systemctl = SYSTEMCTL } = {}) {
+  if (content === null) return removeService(site, { unitDir, systemctl });
+
+  await fs.writeFile(path.join(unitDir, unitName(site)), content);
+  await execPromise(`${systemctl} daemon-reload`);
+  await execPromise(`${systemctl} restart ${unitName(site)}`);
+  return true;
+}
+
+/**
+ * Reads a site's unit file, or resolves null when it has none.
+ */
+async function readService(site, { unitDir = UNIT_DIR } = {}) {
+  try {
+    return await fs.readFile(path.join(unitDir, unitName(site)), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * True when the site has a unit file.
+ */
+async function hasService(site, { unitDir = UNIT_DIR } = {}) {
+  return exists(path.join(unitDir, unitName(site)));
+}
+
+/**
+ * Waits until something accepts TCP connections on the port.
+ * @returns {Promise<boolean>} False when the timeout is reached first.
+ */
+async function waitForPort(port, { host = '127.0.0.1', timeoutMs = 30000, intervalMs = 1000 } = {}) {
+  const started = Date.now();
+
+  while (true) {
+    if (await isPortAnswering(port, host)) return true;
+    if (Date.now() - started + intervalMs > timeoutMs) return false;
+    await sleep(intervalMs);
+  }
+}
+
+/**
+ * Attempts a single TCP connection to the port.
+ */
+function isPortAnswering(port, host) {
+  return new Promise((resolve) => {
+    const socket = net.connect({ port, host });
+    socket.setTimeout(2000);
+    socket.once('connect', () => { socket.destroy(); resolve(true); });
+    socket.once('timeout', () => { socket.destroy(); resolve(false); });
+    socket.once('error', () => resolve(false));
+  });
+}
+
+/**
+ * True when the file exists.
+ */
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  UNIT_DIR,
+  SYSTEMCTL,
+  unitName,
+  renderUnit,
+  installService,
+  updateServicePort,
+  removeService,
+  stopService,
+  restoreService,
+  readService,
+  hasService,
+  waitForPort
+};
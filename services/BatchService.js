@@ -0,0 +1,95 @@
+/**
+ * Batch Service
+ * Drives the Provisioning Service once per manifest entry and reports the results.
+ */
+
+const { ProvisioningService } = require('./ProvisioningService');
+const { Logger } = require('../utils/logger');
+const { mapWithConcurrency } = require('../utils/helpers');
+
+class BatchService {
+  /**
+   * @param {object} [deps] Optional `credentialStore` and `inventory`, shared by every site.
+   */
+  constructor(configManager, { credentialStore = null, inventory = null } = {}) {
+    this.sites = configManager.getSites();
+    this.options = configManager.getBatchOptions();
+    this.credentialStore = credentialStore;
+    this.inventory = inventory;
+  }
+
+  /**
+   * Provisions every site with bounded concurrency.
+   * Resolves with one report per site; never throws for a single site failure.
+   */
+  async run() {
+    Logger.header(`Batch provisioning ${this.sites.length} site(s) (concurrency: ${this.options.concurrency})...`);
+
+    let halted = false;
+    // Parallel sites interleave their logs, so each line names its site
+    const prefixed = this.options.concurrency > 1;
+
+    const results = await mapWithConcurrency(
+      this.sites,
+      this.options.concurrency,
+      async (site) => {
+        try {
+          const provision = () => new ProvisioningService(site, { credentialStore: this.credentialStore, inventory: this.inventory }).run();
+          return await (prefixed ? Logger.withPrefix(`[${site.appName}]`, provision) : provision());
+        } catch (error) {
+          Logger.error(`[${site.appName}] ${error.message}`);
+          if (!this.options.continueOnError) halted = true;
+          return {
+            appName: site.appName,
+            domainName: site.domainName,
+            status: 'failed',
+            error: error.message,
+            rollback: error.rollback,
+            warnings: []
+          };
+        }
+      },
+      () => halted
+    );
+
+    const reports = results.map((report, i) => report || {
+      appName: this.sites[i].appName,
+      domainName: this.sites[i].domainName,
+      status: 'not run',
+      warnings: []
+    });
+
+    this._printReport(reports);
+    return reports;
+  }
+
+  /**
+   * Logs the per-site summary table.
+   */
+  _printReport(reports) {
+    const count = (status) => reports.filter(r => r.status === status).length;
+
+    Logger.divider();
+    Logger.info('Batch Summary');
+    Logger.table(
+      ['App', 'Domain', 'ID', 'Status', 'Notes'],
+      reports.map(r => [
+        r.appName,
+        r.domainName,
+        r.webAppId || '-',
+        r.status.toUpperCase(),
+        // Only the first line of each message, so multi-line API errors keep the table readable
+        r.error
+          ? r.error.split('\n')[0]
+          : r.warnings.map(w => `${w.step}: ${w.message.split('\n')[0]}`).join('; ')
+      ])
+    );
+    Logger.divider();
+    Logger.kv('Succeeded', count('success'));
+    Logger.kv('Partial', count('partial'));
+    Logger.kv('Failed', count('failed'));
+    if (count('not run') > 0) Logger.kv('Not Run', count('not run'));
+  }
+}
+
+module.exports = { BatchService };
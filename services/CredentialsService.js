@@ -0,0 +1,108 @@
+/**
+ * Credentials Service
+ * Opens the encrypted credentials store and runs the `creds` commands (list, show, export).
+ */
+
+const { CredentialStore } = require('../core/CredentialStore');
+const { Logger } = require('../utils/logger');
+const { promptSecret } = require('../utils/helpers');
+
+class CredentialsService {
+  constructor(configManager) {
+    this.cfg = configManager.get();
+    this.action = configManager.argv.action;
+    this.store = CredentialsService.createStore(this.cfg);
+  }
+
+  /**
+   * Creates a store whose passphrase comes from RC_CREDENTIALS_PASSPHRASE or a hidden prompt.
+   * Without either (non-interactive shells) unlocking fails with code 'NO_PASSPHRASE'.
+   */
+  static createStore(cfg) {
+    return new CredentialStore(cfg.credentials.file, async ({ isNew }) => {
+      if (cfg.credentials.passphrase) return cfg.credentials.passphrase;
+
+      if (!process.stdin.isTTY) {
+        const error = new Error('No passphrase available. Set RC_CREDENTIALS_PASSPHRASE for non-interactive runs.');
+        error.code = 'NO_PASSPHRASE';
+        throw error;
+      }
+
+      const passphrase = await promptSecret(`Credentials store passphrase${isNew ? ' (new store)' : ''}: `);
+      if (isNew && passphrase !== await promptSecret('Repeat passphrase: ')) {
+        throw new Error('Passphrases did not match.');
+      }
+      return passphrase;
+    });
+  }
+
+  /**
+   * Runs the selected `creds` action.
+   */
+  async run() {
+    await this.store.unlock();
+
+    switch (this.action) {
+      case 'list': return this.list();
+      case 'show': return this.show(this.cfg.appName);
+      case 'export': return this.export();
+      default: throw new Error(`Unknown creds action: ${this.action}`);
+    }
+  }
+
+  /**
+   * Lists stored sites without revealing any secret.
+   */
+  async list() {
+    const entries = await this.store.list();
+    Logger.header(`Saved credentials (${this.cfg.credentials.file})`);
+
+    if (entries.length === 0) {
+      Logger.info('   No credentials saved yet.');
+      return;
+    }
+
+    Logger.table(
+      ['App', 'Domain', 'WebApp ID', 'Server', 'Saved'],
+      entries.map(e => [e.app, e.domain, e.webAppId, e.serverId, e.savedAt])
+    );
+  }
+
+  /**
+   * Prints the credentials of one site (latest entry for the app name or WebApp ID).
+   */
+  async show(ref) {
+    if (!ref) throw new Error('Usage: creds show <app>');
+
+    const entry = await this.store.find(ref);
+    if (!entry) throw new Error(`No saved credentials for "${ref}".`);
+
+    Logger.header(`Credentials for ${entry.app}`);
+    Logger.kv('URL', entry.url);
+    Logger.kv('WebApp ID', entry.webAppId);
+    Logger.kv('Server', entry.serverId);
+    if (entry.admin) {
+      Logger.kv('User', entry.admin.user);
+      Logger.kv('Pass', entry.admin.password, { secret: true });
+      Logger.kv('Email', entry.admin.email);
+    }
+    if (entry.database) {
+      Logger.kv('DB Name', entry.database.name);
+      Logger.kv('DB User', entry.database.user);
+      Logger.kv('DB Pass', entry.database.password, { secret: true });
+    }
+    Logger.kv('Saved', entry.savedAt);
+    if (!Logger.showsSecrets()) Logger.info('   Passwords are masked. Add --show-secrets to display them.');
+  }
+
+  /**
+   * Writes every entry, decrypted, as JSON to stdout.
+   */
+  async export() {
+    const entries = await this.store.list();
+    Logger.warn(`Exporting ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'} in plain text.`);
+    process.stdout.write(`${JSON.stringify(entries, null, 2)}\n`);
+  }
+}
+
+module.exports = { CredentialsService };
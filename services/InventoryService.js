@@ -0,0 +1,206 @@
+/**
+ * Inventory Service
+ * Runs the commands on the local inventory of provisioned sites (history, inventory, drift).
+ */
+
+const { RunCloudClient } = require('../core/RunCloudClient');
+const { Logger } = require('../utils/logger');
+const { fromFpmResponse, sameSettingValue, formatPhpSettings } = require('../utils/phpSettings');
+const CONSTANTS = require('../config/constants');
+
+class InventoryService {
+  /**
+   * @param {object} deps `inventory` to read the recorded runs from.
+   */
+  constructor(configManager, { inventory }) {
+    this.cfg = configManager.get();
+    this.command = configManager.getCommand();
+    this.inventory = inventory;
+  }
+
+  /**
+   * Runs the selected command.
+   * Resolves with a drift report for `drift`, otherwise undefined.
+   */
+  async run() {
+    switch (this.command) {
+      case 'history': return this.history(this.cfg.appName);
+      case 'inventory': return this.list();
+      case 'drift': return this.drift(this.cfg.appName);
+      default: throw new Error(`Unknown command: ${this.command}`);
+    }
+  }
+
+  /**
+   * Lists recorded runs, newest first, optionally for one app (name or WebApp ID).
+   */
+  async history(ref) {
+    const limit = this.cfg.inventory.limit;
+    const runs = (await this.inventory.runs())
+      .filter(run => !ref || this._matches(run, ref))
+      .reverse();
+    const shown = limit > 0 ? runs.slice(0, limit) : runs;
+
+    Logger.header(`Provisioning history (${this.cfg.inventory.file})`);
+    if (shown.length === 0) {
+      Logger.info(ref ? `   No runs recorded for "${ref}".` : '   No runs recorded yet.');
+      return;
+    }
+
+    Logger.table(
+      ['Time', 'Command', 'App', 'WebApp ID', 'Server', 'Status', 'Steps', 'Notes'],
+      shown.map(run => [
+        run.at,
+        run.command,
+        run.app,
+        run.webAppId ?? '-',
+        run.serverId,
+        run.status.toUpperCase(),
+        // Ensure runs tell created, changed and unchanged steps apart
+        Object.entries(run.changes || run.steps || {}).filter(([, status]) => status !== 'skipped').map(([step, status]) => `${step}:${status}`).join(' ') || '-',
+        // Only the first line, so multi-line API errors keep the table readable
+        run.error ? run.error.split('\n')[0] : (run.warnings || []).join('; ')
+      ])
+    );
+    if (shown.length < runs.length) Logger.info(`   ${runs.length - shown.length} older run(s) not shown. Use --limit 0 to show all.`);
+  }
+
+  /**
+   * Lists every recorded site with its last known settings.
+   */
+  async list() {
+    const sites = await this.inventory.sites();
+    Logger.header(`Inventory (${this.cfg.inventory.file})`);
+
+    if (sites.length === 0) {
+      Logger.info('   No sites recorded yet.');
+      return;
+    }
+
+    const flag = (value) => (value ? 'yes' : '-');
+    Logger.table(
+      ['App', 'Domain', 'WebApp ID', 'Server', 'Type', 'Stack', 'PHP', 'Hub', 'SSL', 'Unrestricted', 'Last Run'],
+      sites.map(site => [
+        site.app,
+        site.domain,
+        site.webAppId,
+        site.serverId,
+        site.type,
+        site.stack,
+        site.phpLabel,
+        site.type === CONSTANTS.APP_TYPES.WORDPRESS ? flag(site.flags.hub) : 'n/a',
+        flag(site.flags.ssl),
+        flag(site.flags.unrestricted),
+        site.lastRun
+      ])
+    );
+  }
+
+  /**
+   * Compares the recorded settings of the current server's sites with what the API reports.
+   * Resolves with `status` 'drifted' when any site differs or is gone, otherwise 'ok'.
+   */
+  async drift(ref) {
+    const client = new RunCloudClient(this.cfg.apiKey, this.cfg.serverId, this.cfg.http);
+    const sites = (await this.inventory.sites())
+      .filter(site => String(site.serverId) === String(this.cfg.serverId))
+      .filter(site => !ref || this._matches(site, ref));
+
+    if (ref && sites.length === 0) throw new Error(`No recorded site "${ref}" on server ${this.cfg.serverId}.`);
+
+    Logger.header(`Drift check on server ${this.cfg.serverId} (${sites.length} recorded site(s))`);
+    if (sites.length === 0) {
+      Logger.info('   No sites recorded for this server.');
+      return { status: 'ok', sites: [] };
+    }
+
+    const results = [];
+    for (const site of sites) {
+      Logger.step(`Checking ${site.app} (ID: ${site.webAppId})...`);
+      const differences = await this._compare(client, site);
+      results.push({ app: site.app, webAppId: site.webAppId, differences });
+
+      if (differences.length === 0) {
+        Logger.success('Matches the inventory');
+      } else {
+        Logger.table(['Setting', 'Recorded', 'Current'], differences.map(d => [d.setting, d.recorded, d.current]));
+      }
+    }
+
+    const drifted = results.filter(r => r.differences.length > 0);
+    Logger.divider();
+    Logger.kv('In Sync', results.length - drifted.length);
+    Logger.kv('Drifted', drifted.length);
+    Logger.divider();
+
+    return { status: drifted.length > 0 ? 'drifted' : 'ok', sites: results };
+  }
+
+  /**
+   * Lists the differences between a recorded site and the server.
+   */
+  async _compare(client, site) {
+    const differences = [];
+    const differ = (setting, recorded, current) => differences.push({ setting, recorded, current });
+
+    let webApp;
+    try {
+      webApp = await client.getWebApp(site.webAppId);
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      differ('WebApp', `ID ${site.webAppId}`, 'missing');
+      return differences;
+    }
+
+    if (webApp.name !== site.app) differ('Name', site.app, webApp.name);
+    if (site.phpVersion && webApp.phpVersion !== site.phpVersion) differ('PHP', site.phpVersion, webApp.phpVersion ?? '-');
+    if (site.stack && webApp.stack !== site.stack) differ('Stack', site.stack, webApp.stack ?? '-');
+
+    // Domains attached outside the CLI count as drift too
+    const domains = (await client.getDomains(site.webAppId)).data || [];
+    const current = domains.map(d => d.name);
+    (site.domains || []).filter(name => !current.includes(name)).forEach(name => differ(`Domain ${name}`, 'attached', 'missing'));
+    current.filter(name => !(site.domains || []).includes(name)).forEach(name => differ(`Domain ${name}`, 'absent', 'attached'));
+
+    // Hub is a WordPress plugin; getHub resolves null when it is not installed
+    if (site.type === CONSTANTS.APP_TYPES.WORDPRESS) {
+      const installed = (await client.getHub(site.webAppId)) !== null;
+      if (installed !== Boolean(site.flags.hub)) {
+        differ('Hub', site.flags.hub ? 'installed' : 'not installed', installed ? 'installed' : 'missing');
+      }
+    }
+
+    for (const name of site.sslDomains || []) {
+      const domain = domains.find(d => d.name === name);
+      if (domain && !await client.isSslActive(site.webAppId, domain.id)) differ(`SSL ${name}`, 'active', 'inactive');
+    }
+
+    // Custom apps are created unrestricted without a recorded settings patch
+    const recorded = { ...(site.flags.unrestricted ? { disable_functions: '' } : {}), ...site.phpSettings };
+    const keys = Object.keys(recorded);
+    if (keys.length > 0) {
+      const settings = fromFpmResponse(await client.getFpmSettings(site.webAppId), keys);
+      keys.filter(key => key in settings && !sameSettingValue(key, recorded[key], settings[key])).forEach((key) => {
+        differ(key, this._formatSetting(key, recorded[key]), this._formatSetting(key, settings[key]));
+      });
+    }
+
+    return differences;
+  }
+
+  /**
+   * Display value of one PHP setting, as printed after provisioning.
+   */
+  _formatSetting(key, value) {
+    return formatPhpSettings({ [key]: value }).slice(key.length + 1);
+  }
+
+  /**
+   * True when a run or site is the given app name or WebApp ID.
+   */
+  _matches(entry, ref) {
+    return entry.app === ref || String(entry.webAppId) === String(ref);
+  }
+}
+
+module.exports = { InventoryService };
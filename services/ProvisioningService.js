@@ -4,28 +4,83 @@
  */
 
 const { RunCloudClient } = require('../core/RunCloudClient');
+const { DryRunClient } = require('../core/DryRunClient');
+const { DnsChecker } = require('../core/DnsChecker');
+const NginxProxy = require('../core/NginxProxy');
 const { Logger } = require('../utils/logger');
 const { generateDbPass, generateId, sleep } = require('../utils/helpers');
+const { toFpmPayload, fromFpmResponse, sameSettingValue, formatPhpSettings } = require('../utils/phpSettings');
 const CONSTANTS = require('../config/constants');
 
+/** Display names per app type: [summary header, created message] */
+const APP_LABELS = {
+  [CONSTANTS.APP_TYPES.WORDPRESS]: ['WordPress Site', 'WordPress'],
+  [CONSTANTS.APP_TYPES.CUSTOM]: ['Custom App', 'App'],
+  [CONSTANTS.APP_TYPES.NODE]: ['Node.js App', 'Node.js App']
+};
+
+/** Steps reported by ensure mode, in provisioning order */
+const CHANGE_STEPS = ['webapp', 'phpVersion', 'domains', 'proxy', 'git', 'php', 'hub', 'ssl'];
+
+/**
+ * Port allocation and proxy setup are serialized across the sites of a batch,
+ * so two Node.js apps cannot be given the same port.
+ */
+let proxyQueue = Promise.resolve();
+
 class ProvisioningService {
-  constructor(configManager) {
-    this.cfg = configManager.get();
-    this.client = new RunCloudClient(this.cfg.apiKey, this.cfg.serverId);
+  /**
+   * @param {object} config Resolved site configuration (see ConfigManager).
+   * @param {object} [deps] Optional `credentialStore` to save generated credentials to,
+   *   `dnsResolver` for the SSL DNS pre-flight (Default: `dns.promises`),
+   *   and `inventory` to record the run in.
+   */
+  constructor(config, { credentialStore = null, dnsResolver, inventory = null } = {}) {
+    this.cfg = config;
+    this.credentialStore = credentialStore;
+    this.inventory = inventory;
+    this.dnsChecker = new DnsChecker(dnsResolver);
+    const Client = this.cfg.dryRun ? DryRunClient : RunCloudClient;
+    this.client = new Client(this.cfg.apiKey, this.cfg.serverId, this.cfg.http);
+    this.steps = {};
+    this.warnings = [];
+    this.created = [];
+    this.domains = [this.cfg.domainName];
+    this.sslActive = new Set();
+    this.git = null;
+    this.phpSettings = null;
+    this.proxy = null;
+    // Names of the generated WordPress database and DB user, so `delete --delete-db` can find them
+    this.database = null;
+    // True when the WebApp was found after an ambiguous create failure
+    this.adopted = false;
+    // Per-step outcome (created, changed, unchanged, ...), only in ensure mode
+    this.changes = null;
   }
 
   /**
    * Runs the full provisioning.
+   * Resolves with a report of each post-provisioning step; throws on fatal errors.
    */
   async run() {
-    Logger.header(`Provisioning ${this.cfg.appType === 'custom' ? 'Custom App' : 'WordPress Site'}...`);
+    const [typeLabel, createdLabel] = APP_LABELS[this.cfg.appType];
+    Logger.header(`Provisioning ${typeLabel}...`);
     this._printInitialSummary();
 
     let webAppId;
     let finalDetails = {};
+    let existing = null;
 
     try {
-      if (this.cfg.appType === CONSTANTS.APP_TYPES.CUSTOM) {
+      // Ensure Mode: an app that already exists is reconciled instead of created again
+      if (this.cfg.ensure) existing = await this._findExisting();
+      if (existing) {
+        webAppId = existing.webApp.id;
+        return await this._reconcile(existing);
+      }
+
+      if (this.cfg.appType !== CONSTANTS.APP_TYPES.WORDPRESS) {
+        // Node.js apps are custom apps; the proxy is added after creation
         webAppId = await this._provisionCustomApp();
       } else {
         const result = await this._provisionWordPress();
@@ -33,30 +88,66 @@ class ProvisioningService {
         finalDetails = result.details;
       }
 
-      Logger.success(`${this.cfg.appType === 'custom' ? 'App' : 'WordPress'} Created (ID: ${webAppId})`);
+      Logger.success(`${createdLabel} Created (ID: ${webAppId})`);
+      if (finalDetails.dbDetails) this.database = { name: finalDetails.dbDetails.name, user: finalDetails.dbDetails.user };
+      if (this.adopted) {
+        // Found after an ambiguous failure: this run cannot prove it created it, so rollback leaves it alone
+        Logger.warn(`WebApp ${this.cfg.appName} was found after a failed create call. Rollback will not remove it.`);
+      } else {
+        // Recorded before the WebApp, so rollback removes the database after the site that uses it
+        if (finalDetails.dbDetails) {
+          const { name, user } = finalDetails.dbDetails;
+          this._recordCreated({ type: 'databaseUser', name: user, label: `DB User ${user}` });
+          this._recordCreated({ type: 'database', name, label: `Database ${name}` });
+        }
+        this._recordCreated({ type: 'webapp', webAppId, label: `WebApp ${this.cfg.appName} (ID: ${webAppId})` });
+      }
+      await this._saveCredentials(webAppId, finalDetails);
 
       // Delay
-      // Custom apps only need delay if SSL is requested.
-      // WordPress needs delay for Hub, SSL, or Settings patches.
+      // Custom apps only need delay if SSL, extra domains, Git or PHP settings are requested.
+      // WordPress needs delay for Hub, SSL, domains, or Settings patches.
       const isWp = this.cfg.appType === CONSTANTS.APP_TYPES.WORDPRESS;
-      const needsWait = this.cfg.installSsl || (isWp && (this.cfg.installHub || this.cfg.unrestrictedPhp));
+      const isNode = this.cfg.appType === CONSTANTS.APP_TYPES.NODE;
+      const hasExtraDomains = this.cfg.extraDomains.length > 0;
+      // Custom apps are created unrestricted, so only WordPress needs the unlock patch
+      const phpSettings = this._phpSettingsToApply(isWp && this.cfg.unrestrictedPhp);
+      const hasPhpSettings = Object.keys(phpSettings).length > 0;
+      const needsWait = this.cfg.installSsl || hasExtraDomains || this.cfg.git || hasPhpSettings || isNode || (isWp && this.cfg.installHub);
 
-      if (needsWait) {
-        Logger.step('Waiting for file system propagation (5s)...');
-        await sleep(5000);
+      if (needsWait && !this.cfg.dryRun) {
+        await this._waitForReadiness(webAppId);
       }
 
       // Post Provisioning Steps
 
-      // WordPress Specific: Patch FPM and Install Hub
+      // Aliases and www first, so SSL covers them
+      if (hasExtraDomains) {
+        await this._attachDomains(webAppId);
+      }
+
+      // Node.js Specific: Port and Reverse Proxy
+      if (isNode) {
+        await this._setupProxy(webAppId);
+      }
+
+      // Custom App Specific: Git Deployment
+      if (this.cfg.git) {
+        await this._deployGit(webAppId);
+      }
+
+      // PHP-FPM Settings (profile, overrides, unrestricted functions)
+      if (hasPhpSettings) {
+        await this._applyPhpSettings(webAppId, phpSettings);
+      }
+
+      // WordPress Specific: Install Hub
       if (isWp) {
-        if (this.cfg.unrestrictedPhp) {
-          await this._unlockPhpFunctions(webAppId);
-        }
         if (this.cfg.installHub) {
           await this._installHub(webAppId);
         } else {
           Logger.info('ℹ️  Skipping RunCloud Hub installation.');
+          this._recordStep('hub', 'skipped');
         }
       }
 
@@ -65,19 +156,488 @@ class ProvisioningService {
         await this._installSsl(webAppId);
       }
 
+      // Steps that did not apply to this run
+      ['domains', 'proxy', 'git', 'php', 'hub', 'ssl'].forEach(step => { this.steps[step] ??= 'skipped'; });
+
+      if (this.cfg.ensure) {
+        this.changes = { webapp: 'created', phpVersion: 'created' };
+        Object.entries(this.steps).forEach(([step, status]) => { this.changes[step] = status === 'ok' ? 'created' : status; });
+        this._sortChanges();
+      }
+
       // Summary
       this._printFinalSummary(finalDetails);
 
+      const report = this._buildReport(webAppId, finalDetails);
+      await this._recordInventory('create', webAppId, { status: report.status });
+      return report;
+
+    } catch (error) {
+      if (this.cfg.rollbackOnFailure && this.created.length > 0) {
+        error.rollback = await this._rollback();
+      }
+      await this._recordInventory(existing ? 'ensure' : 'create', webAppId, {
+        status: 'failed',
+        error: error.message,
+        rolledBack: Boolean(error.rollback?.removed.includes(this.created.find(r => r.type === 'webapp')?.label))
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Looks the app up by name and by domain. Resolves `{ webApp, domains }` when it exists, or null.
+   * Fails when the name and domain point at different apps, since neither creating nor reconciling is safe.
+   */
+  async _findExisting() {
+    const { appName, domainName } = this.cfg;
+    Logger.step(`Looking up ${appName} (${domainName}) on the server...`);
+
+    const byName = await this.client.findWebAppByName(appName);
+    if (byName) {
+      const webApp = await this.client.getWebApp(byName.id);
+      const domains = ((await this.client.getDomains(webApp.id)).data || []).map(d => d.name);
+      if (!domains.includes(domainName)) {
+        throw new Error(`WebApp "${appName}" (ID: ${webApp.id}) exists but does not serve ${domainName} (Domains: ${domains.join(', ') || 'none'}).`);
+      }
+      return { webApp, domains };
+    }
+
+    const byDomain = await this.client.findWebAppByDomain(domainName);
+    if (byDomain) {
+      throw new Error(`${domainName} is already attached to WebApp "${byDomain.name}" (ID: ${byDomain.id}). Use --app ${byDomain.name} to reconcile it.`);
+    }
+
+    Logger.info('ℹ️  Not found on the server. Creating it.');
+    return null;
+  }
+
+  /**
+   * Ensure Mode: brings an existing WebApp in line with the configuration.
+   * Only what is missing or different is applied; proxy and Git setup are left as they are.
+   */
+  async _reconcile({ webApp, domains }) {
+    const [, createdLabel] = APP_LABELS[this.cfg.appType];
+    const isWp = this.cfg.appType === CONSTANTS.APP_TYPES.WORDPRESS;
+    const webAppId = webApp.id;
+
+    Logger.success(`${createdLabel} Already Exists (ID: ${webAppId}). Applying only what is missing.`);
+    this.changes = { webapp: 'unchanged' };
+    this.domains = [...domains];
+
+    await this._ensurePhpVersion(webApp);
+
+    const missingDomains = this.cfg.extraDomains.filter(d => !domains.includes(d.name));
+    if (missingDomains.length > 0) {
+      await this._attachDomains(webAppId, missingDomains);
+      this._recordChange('domains', 'created');
+    } else if (this.cfg.extraDomains.length > 0) {
+      this._recordUnchanged('domains');
+    }
+
+    if (this.cfg.appType === CONSTANTS.APP_TYPES.NODE || this.cfg.git) {
+      Logger.info('ℹ️  Proxy and Git deployment are not reconciled on existing apps.');
+    }
+
+    await this._ensurePhpSettings(webAppId, isWp);
+
+    if (isWp && this.cfg.installHub) await this._ensureHub(webAppId);
+    if (this.cfg.installSsl) await this._ensureSsl(webAppId);
+
+    // Steps that did not apply to this run
+    ['phpVersion', 'domains', 'proxy', 'git', 'php', 'hub', 'ssl'].forEach(step => { this.steps[step] ??= 'skipped'; });
+    this._sortChanges();
+
+    this._printFinalSummary({});
+
+    const report = this._buildReport(webAppId);
+    await this._recordInventory('ensure', webAppId, { status: report.status });
+    return report;
+  }
+
+  /**
+   * Ensure Mode: switches the PHP version when it differs from the requested one.
+   */
+  async _ensurePhpVersion(webApp) {
+    if (webApp.phpVersion === this.cfg.phpVersion) return this._recordUnchanged('phpVersion');
+
+    Logger.step(`Switching PHP Version (${webApp.phpVersion ?? 'unknown'} -> ${this.cfg.phpVersion})...`);
+    try {
+      await this.client.updatePhpVersion(webApp.id, this.cfg.phpVersion);
+      Logger.success(`PHP Version Set to ${this.cfg.phpLabel}`);
+      this._recordStep('phpVersion', 'ok');
+    } catch (error) {
+      Logger.warn(`PHP Version Change Failed: ${error.message}`);
+      this._recordStep('phpVersion', 'failed', error.message);
+    }
+    this._recordChange('phpVersion', 'changed');
+  }
+
+  /**
+   * Ensure Mode: patches only the PHP-FPM settings (including disable_functions) that differ.
+   */
+  async _ensurePhpSettings(webAppId, isWp) {
+    const desired = this._phpSettingsToApply(isWp && this.cfg.unrestrictedPhp);
+    // Custom apps are created without disabled functions, restricted WordPress apps with RunCloud's defaults
+    desired.disable_functions ??= isWp ? CONSTANTS.DEFAULT_DISABLED_FUNCTIONS.join(',') : '';
+
+    const keys = Object.keys(desired);
+    if (keys.length === 0) return;
+
+    let current;
+    try {
+      current = fromFpmResponse(await this.client.getFpmSettings(webAppId), keys);
+    } catch (error) {
+      Logger.warn(`Could not read PHP settings: ${error.message}`);
+      this._recordStep('php', 'failed', error.message);
+      return this._recordChange('php', 'changed');
+    }
+
+    // A setting the API does not report is applied, rather than assumed to match
+    const differing = Object.fromEntries(Object.entries(desired)
+      .filter(([key, value]) => !(key in current) || !sameSettingValue(key, value, current[key])));
+    if (Object.keys(differing).length === 0) {
+      this.phpSettings = current;
+      return this._recordUnchanged('php');
+    }
+
+    await this._applyPhpSettings(webAppId, differing);
+    this._recordChange('php', 'changed');
+  }
+
+  /**
+   * Ensure Mode: installs Hub unless it already is.
+   */
+  async _ensureHub(webAppId) {
+    let hub;
+    try {
+      hub = await this.client.getHub(webAppId);
+    } catch (error) {
+      Logger.warn(`Could not check RunCloud Hub: ${error.message}`);
+      this._recordStep('hub', 'failed', error.message);
+      return this._recordChange('hub', 'created');
+    }
+
+    if (hub) return this._recordUnchanged('hub');
+
+    await this._installHub(webAppId);
+    this._recordChange('hub', 'created');
+  }
+
+  /**
+   * Ensure Mode: requests certificates only for the domains without an active one.
+   */
+  async _ensureSsl(webAppId) {
+    Logger.step('Checking SSL Certificates...');
+    let missing;
+    try {
+      const domains = (await this.client.getDomains(webAppId)).data || [];
+      const wanted = this.cfg.sslDomains ? domains.filter(d => this.cfg.sslDomains.includes(d.name)) : domains;
+
+      for (const domainObj of wanted) {
+        if (await this.client.isSslActive(webAppId, domainObj.id)) this.sslActive.add(domainObj.name);
+      }
+      missing = wanted.filter(d => !this.sslActive.has(d.name)).map(d => d.name);
+    } catch (error) {
+      Logger.warn(`Could not check SSL: ${error.message}`);
+      this._recordStep('ssl', 'failed', error.message);
+      return this._recordChange('ssl', 'created');
+    }
+
+    if (missing.length === 0) {
+      Logger.success(`Certificates Active (${[...this.sslActive].join(', ')})`);
+      return this._recordUnchanged('ssl');
+    }
+
+    await this._installSsl(webAppId, missing);
+    this._recordChange('ssl', 'created');
+  }
+
+  /**
+   * Ensure Mode: records a step that was applied. Anything but 'ok' is reported as the step status.
+   */
+  _recordChange(step, applied) {
+    this.changes[step] = this.steps[step] === 'ok' ? applied : this.steps[step];
+  }
+
+  /**
+   * Ensure Mode: puts the reported steps in provisioning order; steps that did not apply are 'skipped'.
+   */
+  _sortChanges() {
+    this.changes = Object.fromEntries(CHANGE_STEPS.map(step => [step, this.changes[step] ?? 'skipped']));
+  }
+
+  /**
+   * Ensure Mode: records a step that already matched the configuration.
+   */
+  _recordUnchanged(step) {
+    this._recordStep(step, 'ok');
+    this.changes[step] = 'unchanged';
+  }
+
+  /**
+   * Saves the site's credentials to the encrypted store right after creation,
+   * so they survive even if a later step fails. Never fails the run.
+   */
+  async _saveCredentials(webAppId, details) {
+    if (!this.credentialStore || !details.wpPayload) return;
+
+    try {
+      await this.credentialStore.add({
+        app: this.cfg.appName,
+        domain: this.cfg.domainName,
+        url: `http://${this.cfg.domainName}`,
+        serverId: this.cfg.serverId,
+        webAppId,
+        admin: {
+          user: details.wpPayload.adminUsername,
+          password: details.wpPayload.password,
+          email: details.wpPayload.adminEmail
+        },
+        database: {
+          name: details.dbDetails.name,
+          user: details.dbDetails.user,
+          password: details.dbDetails.pass
+        }
+      });
+      Logger.success('Credentials saved to encrypted store');
     } catch (error) {
+      Logger.warn(`Could not save credentials: ${error.message}`);
+    }
+  }
+
+  /**
+   * Runs a single post-provisioning step ('ssl', 'hub' or 'php') against an existing WebApp.
+   */
+  async runStep(step, webAppId) {
+    const steps = {
+      ssl: () => this._installSsl(webAppId),
+      hub: () => this._installHub(webAppId),
+      php: () => this._applyPhpSettings(webAppId, this._phpSettingsToApply(this.cfg.unrestrictedPhp))
+    };
+    try {
+      await steps[step]();
+    } catch (error) {
+      await this._recordInventory(step, webAppId, { status: 'failed', error: error.message });
       throw error;
     }
+    const report = this._buildReport(webAppId);
+    await this._recordInventory(step, webAppId, { status: report.status });
+    return report;
+  }
+
+  /**
+   * Appends the run to the local inventory. Never fails the run, and plans are not recorded.
+   * Only settings are kept: generated credentials belong in the encrypted store.
+   */
+  async _recordInventory(command, webAppId, { status, error, rolledBack = false }) {
+    if (!this.inventory || this.cfg.dryRun) return;
+
+    const isWp = this.cfg.appType === CONSTANTS.APP_TYPES.WORDPRESS;
+    const provisioning = command === 'create' || command === 'ensure';
+    const run = {
+      command,
+      serverId: this.cfg.serverId,
+      profile: this.cfg.profileName,
+      webAppId,
+      app: this.cfg.appName,
+      status,
+      steps: this.steps,
+      warnings: this.warnings.map(w => (w.message ? `${w.step}: ${w.message.split('\n')[0]}` : w.step)),
+      flags: {
+        hub: this.steps.hub === 'ok',
+        ssl: this.sslActive.size > 0,
+        // Custom apps are created without disabled functions
+        unrestricted: Boolean(this.cfg.unrestrictedPhp) || (provisioning && !isWp)
+      },
+      sslDomains: [...this.sslActive],
+      phpSettings: this.phpSettings
+    };
+    if (this.changes) run.changes = this.changes;
+
+    // Step runs only know the WebApp, not how it was created
+    if (provisioning) {
+      Object.assign(run, {
+        domain: this.cfg.domainName,
+        domains: this.domains.filter(Boolean),
+        type: this.cfg.appType,
+        // Custom and Node.js apps are always created on customnginx
+        stack: isWp ? this.cfg.stack : CONSTANTS.STACKS.custom,
+        phpVersion: this.cfg.phpVersion,
+        phpLabel: this.cfg.phpLabel,
+        rolledBack
+      });
+      if (this.database) run.database = this.database;
+    }
+    if (error) run.error = error;
+
+    try {
+      await this.inventory.record(run);
+    } catch (inventoryError) {
+      Logger.warn(`Could not update the inventory: ${inventoryError.message}`);
+    }
+  }
+
+  /**
+   * Polls until the WebApp is ready for post-provisioning steps.
+   * Falls back to a fixed delay when readiness cannot be checked.
+   */
+  async _waitForReadiness(webAppId) {
+    const { timeoutMs, intervalMs } = this.cfg.wait;
+    Logger.step(`Waiting for WebApp to become ready (timeout ${timeoutMs / 1000}s)...`);
+
+    try {
+      const ready = await this.client.waitForWebApp(webAppId, {
+        domainName: this.cfg.domainName,
+        timeoutMs,
+        intervalMs,
+        onPoll: (elapsed, reason) => Logger.verbose(`   ... ${reason} (${Math.round(elapsed / 1000)}s)`)
+      });
+
+      if (ready) {
+        Logger.success('WebApp Ready');
+      } else {
+        Logger.warn(`WebApp not reported ready after ${timeoutMs / 1000}s. Continuing anyway.`);
+      }
+    } catch (error) {
+      Logger.warn(`Readiness check unavailable: ${error.message}`);
+      Logger.step(`Waiting for file system propagation (${CONSTANTS.FALLBACK_DELAY_MS / 1000}s)...`);
+      await sleep(CONSTANTS.FALLBACK_DELAY_MS);
+    }
+  }
+
+  /**
+   * Records the outcome of a post-provisioning step.
+   * Failed and pending steps, and any step given a message, are also kept as warnings for the run report.
+   * In rollback mode a failed step is fatal, so the run is undone instead of left partial.
+   */
+  _recordStep(step, status, message) {
+    this.steps[step] = status;
+    if (!message && (status === 'ok' || status === 'skipped')) return;
+
+    this.warnings.push({ step, message });
+    if (status === 'failed' && this.cfg.rollbackOnFailure) throw new Error(`Step "${step}" failed: ${message}`);
+  }
+
+  /**
+   * Remembers a resource created on the server, for rollback.
+   */
+  _recordCreated(resource) {
+    this.created.push(resource);
+  }
+
+  /**
+   * Deletes every recorded resource in reverse creation order.
+   * Keeps going past individual failures and reports what is left behind.
+   */
+  async _rollback() {
+    Logger.step('Rolling back created resources...');
+    const removed = [];
+    const remaining = [];
+
+    for (const resource of [...this.created].reverse()) {
+      try {
+        switch (resource.type) {
+          case 'ssl': await this.client.deleteSsl(resource.webAppId, resource.domainId); break;
+          case 'domain': await this.client.deleteDomain(resource.webAppId, resource.domainId); break;
+          case 'proxy': await NginxProxy.removeProxyConfig(resource.site); break;
+          case 'webapp': await this.client.deleteWebApp(resource.webAppId); break;
+          case 'database': await this._deleteByName(resource.name, 'findDatabaseByName', 'deleteDatabase'); break;
+          case 'databaseUser': await this._deleteByName(resource.name, 'findDatabaseUserByName', 'deleteDatabaseUser'); break;
+          default: throw new Error(`Unknown resource type "${resource.type}"`);
+        }
+        Logger.success(`Removed ${resource.label}`);
+        removed.push(resource.label);
+      } catch (error) {
+        Logger.warn(`Could not remove ${resource.label}: ${error.message}`);
+        remaining.push(resource.label);
+      }
+    }
+
+    // Saved credentials of a removed site point at nothing
+    const webApp = this.created.find(r => r.type === 'webapp');
+    if (webApp && removed.includes(webApp.label)) await this._forgetCredentials(webApp.webAppId);
+
+    Logger.divider();
+    Logger.kv('Rolled Back', removed.length ? removed.join(', ') : 'Nothing');
+    if (remaining.length) {
+      Logger.kv('Left Behind', remaining.join(', '));
+      Logger.info('   Remove the resources above manually via the Dashboard.');
+    }
+    Logger.divider();
+
+    return { removed, remaining };
+  }
+
+  /**
+   * Deletes a database or DB user by name. The one-click create does not return their IDs.
+   * Nothing to do when RunCloud already removed it along with the WebApp.
+   */
+  async _deleteByName(name, find, remove) {
+    const resource = await this.client[find](name);
+    if (resource) await this.client[remove](resource.id);
+  }
+
+  /**
+   * Removes the credentials saved for a rolled back WebApp. Never fails the rollback.
+   */
+  async _forgetCredentials(webAppId) {
+    if (!this.credentialStore) return;
+
+    try {
+      const count = await this.credentialStore.remove(entry => String(entry.serverId) === String(this.cfg.serverId) && String(entry.webAppId) === String(webAppId));
+      if (count > 0) Logger.success('Removed saved credentials');
+    } catch (error) {
+      Logger.warn(`Could not remove saved credentials: ${error.message}`);
+    }
+  }
+
+  /**
+   * Summarizes the run. A site whose optional steps failed is "partial".
+   * Includes generated credentials, so it must never be logged as-is.
+   */
+  _buildReport(webAppId, details = {}) {
+    const report = {
+      appName: this.cfg.appName,
+      domainName: this.cfg.domainName,
+      webAppId,
+      url: this._siteUrl(),
+      domains: this.domains.filter(Boolean),
+      status: this.warnings.length > 0 ? 'partial' : 'success',
+      steps: this.steps,
+      warnings: this.warnings
+    };
+
+    // Credentials, for machine-readable output
+    if (details.wpPayload) {
+      report.admin = {
+        user: details.wpPayload.adminUsername,
+        password: details.wpPayload.password,
+        email: details.wpPayload.adminEmail
+      };
+      report.database = {
+        name: details.dbDetails.name,
+        user: details.dbDetails.user,
+        password: details.dbDetails.pass
+      };
+    }
+
+    if (this.git) report.git = this.git;
+    if (this.proxy) report.proxy = this.proxy;
+    if (this.phpSettings) report.phpSettings = this.phpSettings;
+    if (this.changes) report.changes = this.changes;
+
+    if (this.cfg.dryRun) report.plan = this.client.getPlan();
+    return report;
   }
 
   /**
    * Constructs the API Payload and generates a Custom Web App
    */
   async _provisionCustomApp() {
-    Logger.step('Creating Custom WebApp Instance...');
+    Logger.step(this.cfg.appType === CONSTANTS.APP_TYPES.NODE
+      ? 'Creating Custom WebApp Instance (Node.js)...'
+      : 'Creating Custom WebApp Instance...');
 
     // Payload strictly structured for custom apps
     const payload = {
@@ -94,6 +654,7 @@ class ProvisioningService {
     };
 
     const result = await this.client.createCustomWebApp(payload);
+    this.adopted = Boolean(result.adopted);
     return result.id;
   }
 
@@ -108,6 +669,7 @@ class ProvisioningService {
     const { wpPayload, dbDetails } = this._prepareWpData();
 
     const result = await this.client.createWordPress(wpPayload);
+    this.adopted = Boolean(result.adopted);
 
     return {
       id: result.id,
@@ -119,8 +681,9 @@ class ProvisioningService {
    * Helper to generate WordPress payload and DB credentials.
    */
   _prepareWpData() {
-    const dbSuffix = generateId();
-    const safeDbPassword = generateDbPass();
+    const dbSuffix = generateId(this.cfg.secrets.idLength);
+    const safeDbPassword = generateDbPass(this.cfg.secrets.db);
+    Logger.addSecret(safeDbPassword);
 
     const dbDetails = {
       name: `db_${dbSuffix}`,
@@ -154,17 +717,166 @@ class ProvisioningService {
   }
 
   /**
-   * Patches the WebApp to remove all disabled PHP functions.
+   * Allocates the Node.js app's port and installs the reverse proxy snippet.
+   * 'local' writes /etc/nginx-rc/extra.d directly (the CLI runs on the server as root),
+   * 'api' adds the snippet as a RunCloud Nginx config of the WebApp.
+   */
+  async _setupProxy(webAppId) {
+    const run = proxyQueue.then(async () => {
+      const mode = await this._resolveProxyMode();
+      Logger.step(`Configuring Reverse Proxy (${mode === 'local' ? 'on this server' : 'via API'})...`);
+
+      try {
+        const port = await this._allocatePort(mode);
+        this.proxy = { port, mode, target: null };
+
+        if (mode === 'local') {
+          // A plan never touches the server's files
+          this.proxy.target = this.cfg.dryRun
+            ? `${NginxProxy.CONFIG_DIR}/${NginxProxy.configFileName(this.cfg.appName)}`
+            : await NginxProxy.installProxyConfig(this.cfg.appName, port);
+          if (!this.cfg.dryRun) {
+            this._recordCreated({ type: 'proxy', site: this.cfg.appName, label: `Proxy config ${this.proxy.target}` });
+          }
+        } else {
+          await this.client.createNginxConfig(webAppId, {
+            type: 'location.root',
+            name: 'proxy',
+            content: NginxProxy.renderProxyConfig(port)
+          });
+          this.proxy.target = 'RunCloud Nginx config "proxy" (location.root)';
+        }
+
+        Logger.success(`Proxy Active: ${this.cfg.domainName} -> 127.0.0.1:${port}`);
+        this._recordStep('proxy', 'ok');
+      } catch (error) {
+        Logger.warn(`Proxy Setup Failed: ${error.message}`);
+        this._recordStep('proxy', 'failed', error.message);
+        Logger.info('   Run setup-proxy.js on the server to configure it manually.');
+      }
+    });
+
+    // Keep the queue going past a failed (or rolled back) site
+    proxyQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Picks 'local' or 'api' for the 'auto' proxy mode.
+   */
+  async _resolveProxyMode() {
+    if (this.cfg.proxy.mode !== 'auto') return this.cfg.proxy.mode;
+    return (await NginxProxy.canWriteLocally()) ? 'local' : 'api';
+  }
+
+  /**
+   * Returns the requested --port, refused when another site's proxy uses it,
+   * or the lowest free port. Only a local allocation can probe for bound sockets.
+   */
+  async _allocatePort(mode) {
+    const used = mode === 'local'
+      ? await NginxProxy.collectUsedPorts()
+      : await this._collectUsedPortsViaApi();
+
+    if (this.cfg.proxy.port) {
+      NginxProxy.assertPortUnclaimed(this.cfg.proxy.port, this.cfg.appName, used);
+      return this.cfg.proxy.port;
+    }
+
+    return NginxProxy.findFreePort(used, { probe: mode === 'local' && !this.cfg.dryRun });
+  }
+
+  /**
+   * Collects the ports proxied by the server's custom WebApps, read through the API.
+   * @returns {Promise<Map<number, string>>} Port -> WebApp name.
+   */
+  async _collectUsedPortsViaApi() {
+    const webApps = await this.client.listWebApps();
+    const used = new Map();
+
+    for (const webApp of webApps.filter(app => app.stack === 'customnginx')) {
+      const configs = await this.client.listNginxConfigs(webApp.id);
+      configs.forEach((config) => {
+        NginxProxy.parsePorts(config.content || '').forEach(port => used.set(port, webApp.name));
+      });
+    }
+
+    return used;
+  }
+
+  /**
+   * Attaches the Git repository and registers the deploy script.
+   * The deploy key is fetched first: it is needed on the provider before a private repository can be cloned,
+   * so it is shown even when attaching fails.
+   */
+  async _deployGit(webAppId) {
+    const { provider, repository, branch, deployScript, deployScriptFile } = this.cfg.git;
+    Logger.step(`Attaching Git Repository (${provider}: ${repository}, branch ${branch})...`);
+    this.git = { provider, repository, branch, deployKey: null, webhookUrl: null };
+
+    try {
+      const key = await this.client.getDeploymentKey(this.cfg.ownerId);
+      this.git.deployKey = key.deploymentKey ?? key.key ?? null;
+    } catch (error) {
+      Logger.warn(`Could not fetch the deploy key: ${error.message}`);
+    }
+
+    try {
+      const result = await this.client.attachGit(webAppId, this.cfg.git);
+      this.git.webhookUrl = result.gitHookUrl ?? result.webhookUrl ?? null;
+      Logger.success('Git Repository Attached');
+
+      if (deployScript) {
+        await this.client.updateGitScript(webAppId, result.id, deployScript);
+        Logger.success(`Deploy Script Registered (${deployScriptFile})`);
+      }
+      this._recordStep('git', 'ok');
+    } catch (error) {
+      Logger.warn(`Git Deployment Failed: ${error.message}`);
+      this._recordStep('git', 'failed', error.message);
+      Logger.info('   Private repositories need the deploy key (see summary) added to the provider first.');
+    }
+  }
+
+  /**
+   * Merges the requested PHP settings; `unlock` clears disable_functions on top.
+   */
+  _phpSettingsToApply(unlock) {
+    const values = { ...(this.cfg.phpSettings?.values || {}) };
+    if (unlock) values.disable_functions = '';
+    return values;
+  }
+
+  /**
+   * Patches the WebApp's PHP-FPM settings, then reads back the values RunCloud applied.
    */
-  async _unlockPhpFunctions(webAppId) {
-    Logger.step('Unlocking PHP Functions (PATCH)...');
+  async _applyPhpSettings(webAppId, values) {
+    const unlockOnly = Object.keys(values).length === 1 && values.disable_functions === '';
+    Logger.step(unlockOnly ? 'Unlocking PHP Functions (PATCH)...' : 'Applying PHP-FPM Settings (PATCH)...');
+
     try {
-      const payload = { disableFunctions: "" };
-      await this.client.updateFpmSettings(webAppId, payload);
-      Logger.success('PHP Functions Unrestricted (exec, passthru enabled)');
+      await this.client.updateFpmSettings(webAppId, toFpmPayload(values));
     } catch (error) {
       Logger.warn(`Failed to update FPM settings: ${error.message}`);
+      this._recordStep('php', 'failed', error.message);
+      return;
     }
+
+    // The summary shows what RunCloud reports, falling back to what was sent
+    this.phpSettings = values;
+    if (!this.cfg.dryRun) {
+      try {
+        const current = await this.client.getFpmSettings(webAppId);
+        this.phpSettings = { ...values, ...fromFpmResponse(current, Object.keys(values)) };
+      } catch (error) {
+        Logger.warn(`Could not read back FPM settings: ${error.message}`);
+      }
+    }
+
+    Logger.success(unlockOnly
+      ? 'PHP Functions Unrestricted (exec, passthru enabled)'
+      : `PHP Settings Applied (${formatPhpSettings(this.phpSettings)})`);
+    this._recordStep('php', 'ok');
   }
 
   /**
@@ -175,49 +887,226 @@ class ProvisioningService {
     try {
       await this.client.installHub(webAppId, this.cfg.hub);
       Logger.success('RunCloud Hub Installed');
+      this._recordStep('hub', 'ok');
     } catch (error) {
       Logger.warn(`Hub Installation Failed: ${error.message}`);
+      this._recordStep('hub', 'failed', error.message);
       Logger.info('   You can install this manually via the Dashboard.');
     }
   }
 
+  /**
+   * Attaches the aliases and www counterpart to the WebApp.
+   * Each domain is tried on its own; failures are reported together.
+   */
+  async _attachDomains(webAppId, domains = this.cfg.extraDomains) {
+    Logger.step('Attaching Additional Domains...');
+    const failed = [];
+
+    for (const domain of domains) {
+      try {
+        const result = await this.client.addDomain(webAppId, domain);
+        this._recordCreated({ type: 'domain', webAppId, domainId: result.id, label: `Domain ${domain.name}` });
+        this.domains.push(domain.name);
+        Logger.success(`${domain.name} Attached (${domain.type === 'redirect' ? `Redirects to ${this.cfg.domainName}` : 'Alias'})`);
+      } catch (error) {
+        Logger.warn(`Could not attach ${domain.name}: ${error.message}`);
+        failed.push(`${domain.name}: ${error.message}`);
+      }
+    }
+
+    if (failed.length) {
+      this._recordStep('domains', 'failed', failed.join('; '));
+    } else {
+      this._recordStep('domains', 'ok');
+    }
+  }
+
   /**
    * Helper to handle SSL installation.
+   * Covers every domain attached to the WebApp, or only the `only` names (Default: `cfg.sslDomains`) when set.
    */
-  async _installSsl(webAppId) {
+  async _installSsl(webAppId, only = this.cfg.sslDomains) {
     Logger.step('Configuring SSL (Let\'s Encrypt)...');
+
+    // Must fetch Domain IDs first
+    let domains;
     try {
-      // Must fetch Domain ID first
       const domainList = await this.client.getDomains(webAppId);
-      const domainObj = domainList.data.find(d => d.name === this.cfg.domainName);
+      domains = only
+        ? domainList.data.filter(d => only.includes(d.name))
+        : domainList.data;
 
-      if (!domainObj) throw new Error('Domain ID lookup failed.');
-
-      await this.client.installSsl(webAppId, domainObj.id);
-      Logger.success('SSL Installation Queued');
+      if (domains.length === 0) throw new Error('Domain ID lookup failed.');
     } catch (error) {
       Logger.warn(`SSL Failed: ${error.message}`);
+      this._recordStep('ssl', 'failed', error.message);
+      return;
+    }
+
+    // Only http-01 needs the domain to point at this server; a plan never leaves the machine
+    let dnsSkipped = [];
+    if (this.cfg.ssl.dnsCheck && this.cfg.ssl.method === 'http-01' && !this.cfg.dryRun) {
+      ({ ready: domains, skipped: dnsSkipped } = await this._checkDns(domains));
+    }
+
+    const failed = [];
+    const requested = [];
+    for (const domainObj of domains) {
+      try {
+        await this.client.installSsl(webAppId, domainObj.id, this.cfg.ssl);
+        this._recordCreated({ type: 'ssl', webAppId, domainId: domainObj.id, label: `SSL for ${domainObj.name}` });
+        Logger.success(`SSL Requested for ${domainObj.name}`);
+        requested.push(domainObj);
+      } catch (error) {
+        Logger.warn(`SSL Failed for ${domainObj.name}: ${error.message}`);
+        failed.push(`${domainObj.name}: ${error.message}`);
+      }
+    }
+
+    // A plan has no certificate to wait for
+    const pending = this.cfg.dryRun ? [] : await this._verifySsl(webAppId, requested, failed);
+
+    const notes = [...failed];
+    if (pending.length) notes.push(`Not issued after ${this.cfg.ssl.timeoutMs / 1000}s: ${pending.join(', ')}`);
+    if (dnsSkipped.length) notes.push(`Skipped, DNS does not point at the server: ${dnsSkipped.join(', ')}`);
+    const message = notes.join('; ') || undefined;
+
+    if (failed.length) {
       Logger.info('   Note: DNS must point to this server IP for SSL to work.');
+      this._recordStep('ssl', 'failed', message);
+    } else if (pending.length) {
+      this._recordStep('ssl', 'pending', message);
+    } else {
+      this._recordStep('ssl', requested.length ? 'ok' : 'skipped', message);
+    }
+  }
+
+  /**
+   * DNS pre-flight: splits domains into those pointing at the server and those that do not,
+   * waiting up to `ssl.dnsWaitMs` for propagation. When the check itself cannot run,
+   * the domains are let through rather than blocking SSL.
+   */
+  async _checkDns(domains) {
+    let server;
+    try {
+      const details = await this.client.getServer();
+      server = { ipv4: details.ipAddress, ipv6: details.ipv6Address };
+      if (!server.ipv4) throw new Error('no IP address reported');
+    } catch (error) {
+      Logger.warn(`DNS check unavailable (server IP: ${error.message}). Requesting SSL anyway.`);
+      return { ready: domains, skipped: [] };
     }
+
+    const { dnsWaitMs } = this.cfg.ssl;
+    Logger.step(dnsWaitMs > 0
+      ? `Checking DNS points at ${server.ipv4} (waiting up to ${dnsWaitMs / 1000}s)...`
+      : `Checking DNS points at ${server.ipv4}...`);
+
+    const ready = [];
+    const skipped = [];
+    await Promise.all(domains.map(async (domainObj) => {
+      try {
+        const result = await this.dnsChecker.waitFor(domainObj.name, server, {
+          timeoutMs: dnsWaitMs,
+          intervalMs: this.cfg.wait.intervalMs,
+          onPoll: (elapsed, addresses) => Logger.verbose(`   ... ${domainObj.name} -> ${addresses.join(', ') || 'no records'} (${Math.round(elapsed / 1000)}s)`)
+        });
+
+        if (result.ok) {
+          ready.push(domainObj);
+          return;
+        }
+
+        Logger.warn(`DNS for ${domainObj.name} points to ${result.addresses.join(', ') || 'nothing'}, not ${server.ipv4}. Skipping its SSL.`);
+        skipped.push(domainObj.name);
+      } catch (error) {
+        Logger.warn(`Could not resolve ${domainObj.name} (${error.code || error.message}). Requesting SSL anyway.`);
+        ready.push(domainObj);
+      }
+    }));
+
+    // Keep the WebApp's domain order
+    return { ready: domains.filter(d => ready.includes(d)), skipped };
+  }
+
+  /**
+   * Polls the requested certificates until each is issued or has failed.
+   * Adds failures to `failed` and resolves with the domains still pending at the timeout.
+   */
+  async _verifySsl(webAppId, domains, failed) {
+    if (domains.length === 0) return [];
+
+    const { timeoutMs } = this.cfg.ssl;
+    Logger.step(`Waiting for certificate issuance (timeout ${timeoutMs / 1000}s)...`);
+
+    const pending = [];
+    await Promise.all(domains.map(async (domainObj) => {
+      try {
+        const result = await this.client.waitForSsl(webAppId, domainObj.id, {
+          timeoutMs,
+          intervalMs: this.cfg.wait.intervalMs,
+          onPoll: (elapsed, state) => Logger.verbose(`   ... ${domainObj.name}: ${state} (${Math.round(elapsed / 1000)}s)`)
+        });
+
+        if (result.status === 'active') {
+          this.sslActive.add(domainObj.name);
+          Logger.success(`Certificate Active for ${domainObj.name}`);
+        } else if (result.status === 'failed') {
+          Logger.warn(`Certificate Failed for ${domainObj.name}: ${result.detail}`);
+          failed.push(`${domainObj.name}: issuance ${result.detail}`);
+        } else {
+          Logger.warn(`Certificate for ${domainObj.name} still ${result.detail} after ${timeoutMs / 1000}s.`);
+          pending.push(domainObj.name);
+        }
+      } catch (error) {
+        Logger.warn(`Could not check the certificate of ${domainObj.name}: ${error.message}`);
+        pending.push(domainObj.name);
+      }
+    }));
+
+    return pending;
+  }
+
+  /**
+   * Public URL of the site; https only once the primary domain has an active certificate.
+   */
+  _siteUrl() {
+    const scheme = this.sslActive.has(this.cfg.domainName) ? 'https' : 'http';
+    return `${scheme}://${this.cfg.domainName}`;
   }
 
   /**
    * Logs startup configuration
    */
   _printInitialSummary() {
+    Logger.kv('Server', this.cfg.profileName ? `${this.cfg.serverId} (Profile: ${this.cfg.profileName})` : this.cfg.serverId);
     Logger.kv('Type', this.cfg.appType.toUpperCase());
     Logger.kv('Domain', this.cfg.domainName);
     Logger.kv('App Name', this.cfg.appName);
+    if (this.cfg.ensure) Logger.kv('Mode', 'Ensure (reconcile if it exists)');
+    if (this.cfg.extraDomains.length) {
+      Logger.kv('Aliases', this.cfg.extraDomains.map(d => (d.type === 'redirect' ? `${d.name} (Redirect)` : d.name)).join(', '));
+    }
 
-    if (this.cfg.appType === 'custom') {
+    if (this.cfg.appType !== CONSTANTS.APP_TYPES.WORDPRESS) {
        Logger.kv('Stack', 'customnginx (Forced)');
        Logger.kv('PHP Mode', 'Unrestricted (Forced)');
+       if (this.cfg.appType === CONSTANTS.APP_TYPES.NODE) {
+         Logger.kv('Port', this.cfg.proxy.port ?? 'Next free port');
+       }
+       if (this.cfg.git) Logger.kv('Git', `${this.cfg.git.provider}: ${this.cfg.git.repository} (${this.cfg.git.branch})`);
     } else {
        Logger.kv('Stack', `${this.cfg.stackLabel} (${this.cfg.stack})`);
        const phpStatus = this.cfg.unrestrictedPhp ? 'Unrestricted 🔓' : 'Secure (Default) 🔒';
        Logger.kv('PHP Mode', phpStatus);
     }
 
+    if (this.cfg.phpSettings) {
+       const { profile, values } = this.cfg.phpSettings;
+       Logger.kv('PHP Settings', `${profile ? `${profile}: ` : ''}${formatPhpSettings(values)}`);
+    }
+
     if (this.cfg.appType === 'wordpress') {
         if (this.cfg.installHub) {
             const hubDisplay = this.cfg.hub.type === 'redis'
@@ -229,7 +1118,13 @@ class ProvisioningService {
         }
     }
 
-    Logger.kv('SSL', this.cfg.installSsl ? 'Enabled (Let\'s Encrypt)' : 'Disabled ⚪');
+    if (this.cfg.installSsl) {
+      const { environment, method, hsts, forceHttps } = this.cfg.ssl;
+      const extras = [environment, method, forceHttps && 'Force HTTPS', hsts && 'HSTS'].filter(Boolean);
+      Logger.kv('SSL', `Enabled (Let's Encrypt: ${extras.join(', ')})`);
+    } else {
+      Logger.kv('SSL', 'Disabled ⚪');
+    }
   }
 
   /**
@@ -238,17 +1133,37 @@ class ProvisioningService {
   _printFinalSummary(details) {
     Logger.divider();
     Logger.success('Process Complete');
-    Logger.kv('URL', `http://${this.cfg.domainName}`);
+    const staging = this.sslActive.size > 0 && this.cfg.ssl.environment === 'staging' ? ' (Staging certificate, not trusted)' : '';
+    Logger.kv('URL', `${this._siteUrl()}${staging}`);
+    if (this.phpSettings && this.cfg.phpSettings) Logger.kv('PHP Settings', formatPhpSettings(this.phpSettings));
 
     // Only show WP Creds for a WP site
     if (this.cfg.appType === CONSTANTS.APP_TYPES.WORDPRESS && details.wpPayload) {
         Logger.kv('User', details.wpPayload.adminUsername);
         const passLabel = this.cfg.isAutoPassword ? ' (Generated)' : '';
-        Logger.kv('Pass', `${details.wpPayload.password}${passLabel}`);
+        Logger.kv('Pass', `${details.wpPayload.password}${passLabel}`, { secret: true });
         Logger.kv('Email', details.wpPayload.adminEmail);
         Logger.kv('DB Name', details.dbDetails.name);
-    } else {
-        Logger.info('   Custom App created. Please configure your application files via SFTP/Git.');
+    }
+
+    if (this.proxy) {
+        Logger.kv('Port', this.proxy.port);
+        Logger.kv('Proxy', this.proxy.target || 'Not configured');
+        Logger.info(`   Start the app listening on 127.0.0.1:${this.proxy.port} (e.g. PORT=${this.proxy.port}).`);
+    }
+
+    if (this.git) {
+        Logger.kv('Git', `${this.git.repository} (${this.git.branch})`);
+        Logger.kv('Deploy Key', this.git.deployKey || 'Unavailable (see Dashboard > System Users)');
+        Logger.kv('Webhook', this.git.webhookUrl || 'Unavailable (see Dashboard > Git)');
+        Logger.info('   Add the deploy key to the repository, and the webhook to deploy on push.');
+    } else if (this.cfg.appType !== CONSTANTS.APP_TYPES.WORDPRESS && this.changes?.webapp !== 'unchanged') {
+        Logger.info(`   ${APP_LABELS[this.cfg.appType][1]} created. Please configure your application files via SFTP/Git.`);
+    }
+
+    if (this.changes) {
+        Logger.divider();
+        Logger.table(['Step', 'Result'], Object.entries(this.changes).map(([step, result]) => [step, result.toUpperCase()]));
     }
 
     Logger.divider();
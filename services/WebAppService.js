@@ -0,0 +1,261 @@
+/**
+ * WebApp Service
+ * Commands that act on WebApps which already exist on the server (list, show, delete, ssl, hub, php).
+ */
+
+const { RunCloudClient } = require('../core/RunCloudClient');
+const { ProvisioningService } = require('./ProvisioningService');
+const { CredentialsService } = require('./CredentialsService');
+const { Logger } = require('../utils/logger');
+const { prompt } = require('../utils/helpers');
+const CONSTANTS = require('../config/constants');
+
+class WebAppService {
+  /**
+   * @param {object} [deps] Optional `inventory` to record step runs and deletions in.
+   */
+  constructor(configManager, { inventory = null } = {}) {
+    this.cfg = configManager.get();
+    this.command = configManager.getCommand();
+    this.client = new RunCloudClient(this.cfg.apiKey, this.cfg.serverId, this.cfg.http);
+    this.inventory = inventory;
+  }
+
+  /**
+   * Runs the selected command.
+   * Resolves with a step report for ssl/hub/php, otherwise undefined.
+   */
+  async run() {
+    switch (this.command) {
+      case 'list': return this.list();
+      case 'show': return this.show(this.cfg.appName);
+      case 'delete': return this.delete(this.cfg.appName);
+      case 'ssl':
+      case 'hub':
+      case 'php':
+        return this.applyStep(this.command, this.cfg.appName);
+      default: throw new Error(`Unknown command: ${this.command}`);
+    }
+  }
+
+  /**
+   * Lists every WebApp on the server.
+   */
+  async list() {
+    Logger.header(`WebApps on server ${this.cfg.serverId}`);
+    const webApps = await this.client.listWebApps();
+
+    if (webApps.length === 0) {
+      Logger.info('   No WebApps found.');
+      return;
+    }
+
+    Logger.table(
+      ['ID', 'Name', 'PHP', 'Stack', 'Created'],
+      webApps.map(app => [app.id, app.name, app.phpVersion ?? '-', app.stack ?? '-', app.createdAt ?? '-'])
+    );
+  }
+
+  /**
+   * Prints the details and domains of one WebApp.
+   */
+  async show(ref) {
+    const webApp = await this._resolveApp(ref);
+    const domains = await this.client.getDomains(webApp.id);
+
+    Logger.header(`WebApp ${webApp.name}`);
+    Logger.kv('ID', webApp.id);
+    Logger.kv('PHP', webApp.phpVersion ?? '-');
+    Logger.kv('Stack', `${webApp.stack ?? '-'} (${webApp.stackMode ?? '-'})`);
+    Logger.kv('Root Path', webApp.rootPath ?? '-');
+    Logger.kv('Created', webApp.createdAt ?? '-');
+    Logger.kv('Domains', (domains.data || []).map(d => d.name).join(', ') || 'None');
+  }
+
+  /**
+   * Deletes a WebApp after showing what will be removed and asking for typed confirmation.
+   * With --delete-db the linked database and DB user are removed as well.
+   */
+  async delete(ref) {
+    const webApp = await this._resolveApp(ref);
+    const domains = await this.client.getDomains(webApp.id);
+    const { linked, database, databaseUser } = await this._resolveLinkedDatabase(webApp);
+
+    Logger.header(`Delete WebApp ${webApp.name}`);
+    Logger.kv('WebApp', `${webApp.name} (ID: ${webApp.id})`);
+    Logger.kv('Domains', (domains.data || []).map(d => d.name).join(', ') || 'None');
+
+    if (this.cfg.deleteDb) {
+      Logger.kv('Database', database ? `${database.name} (ID: ${database.id})` : this._missingLabel(linked.name));
+      Logger.kv('DB User', databaseUser ? `${databaseUser.username} (ID: ${databaseUser.id})` : this._missingLabel(linked.user));
+      Logger.kv('Found Via', linked.source);
+    } else {
+      Logger.kv('Database', 'Kept (use --delete-db to remove)');
+    }
+
+    await this._confirmDeletion(webApp.name);
+
+    // WebApp first so the site stops using the database, then the database before its user
+    const targets = [{ label: `WebApp ${webApp.name}`, remove: () => this.client.deleteWebApp(webApp.id) }];
+    if (this.cfg.deleteDb && database) {
+      targets.push({ label: `Database ${database.name}`, remove: () => this.client.deleteDatabase(database.id) });
+    }
+    if (this.cfg.deleteDb && databaseUser) {
+      targets.push({ label: `DB User ${databaseUser.username}`, remove: () => this.client.deleteDatabaseUser(databaseUser.id) });
+    }
+
+    const failed = [];
+    for (const target of targets) {
+      Logger.step(`Deleting ${target.label}...`);
+      try {
+        await target.remove();
+        Logger.success(`${target.label} Deleted`);
+      } catch (error) {
+        Logger.warn(`Could not delete ${target.label}: ${error.message}`);
+        failed.push(target.label);
+      }
+    }
+
+    // The site leaves the inventory once the WebApp itself is gone
+    if (!failed.includes(targets[0].label)) await this._recordDeletion(webApp);
+
+    if (failed.length) {
+      throw new Error(`Deletion incomplete. Remove manually via the Dashboard: ${failed.join(', ')}`);
+    }
+  }
+
+  /**
+   * Records a deleted WebApp in the inventory. Never fails the command.
+   */
+  async _recordDeletion(webApp) {
+    if (!this.inventory) return;
+    try {
+      await this.inventory.record({
+        command: 'delete',
+        serverId: this.cfg.serverId,
+        profile: this.cfg.profileName,
+        webAppId: webApp.id,
+        app: webApp.name,
+        status: 'success'
+      });
+    } catch (error) {
+      Logger.warn(`Could not update the inventory: ${error.message}`);
+    }
+  }
+
+  /**
+   * Looks up the database and DB user linked to a WebApp (only with --delete-db).
+   * Their names come from --db / --db-user, else from the inventory, else from the credentials store.
+   */
+  async _resolveLinkedDatabase(webApp) {
+    if (!this.cfg.deleteDb) return {};
+
+    const linked = this.cfg.dbName
+      ? { name: this.cfg.dbName, user: this.cfg.dbUser, source: '--db' }
+      : (await this._recordedDatabase(webApp)) || (await this._storedDatabase(webApp));
+
+    if (!linked) {
+      throw new Error(`No linked database recorded for ${webApp.name}. Name it with --db db_xxxx.`);
+    }
+
+    return {
+      linked,
+      database: linked.name ? await this.client.findDatabaseByName(linked.name) : null,
+      databaseUser: linked.user ? await this.client.findDatabaseUserByName(linked.user) : null
+    };
+  }
+
+  /**
+   * Database names the inventory recorded when the WebApp was created, or null.
+   */
+  async _recordedDatabase(webApp) {
+    if (!this.inventory) return null;
+    const site = (await this.inventory.sites())
+      .find(s => String(s.serverId) === String(this.cfg.serverId) && String(s.webAppId) === String(webApp.id));
+    return site?.database ? { ...site.database, source: 'inventory' } : null;
+  }
+
+  /**
+   * Database names saved with the WebApp's credentials, or null.
+   * A missing store or passphrase only means there is nothing to find.
+   */
+  async _storedDatabase(webApp) {
+    const store = CredentialsService.createStore(this.cfg);
+    if (!(await store.exists())) return null;
+
+    try {
+      await store.unlock();
+    } catch (error) {
+      if (error.code !== 'NO_PASSPHRASE') throw error;
+      Logger.warn(`Credentials store not searched: ${error.message}`);
+      return null;
+    }
+
+    const entry = (await store.list())
+      .filter(e => String(e.serverId) === String(this.cfg.serverId) && String(e.webAppId) === String(webApp.id))
+      .pop();
+    return entry?.database ? { name: entry.database.name, user: entry.database.user, source: 'credentials store' } : null;
+  }
+
+  /**
+   * Label for a database resource that was named but not found.
+   */
+  _missingLabel(name) {
+    return name ? `${name} (Not found, skipped)` : 'Not specified';
+  }
+
+  /**
+   * Requires the user to type the app name, unless --yes was given.
+   */
+  async _confirmDeletion(appName) {
+    if (this.cfg.assumeYes) return;
+
+    if (!process.stdin.isTTY) {
+      throw new Error('Refusing to delete without confirmation. Re-run with --yes in non-interactive shells.');
+    }
+
+    const answer = await prompt(`\nThis cannot be undone. Type "${appName}" to confirm: `);
+    if (answer !== appName) throw new Error('Confirmation did not match. Nothing was deleted.');
+  }
+
+  /**
+   * Runs the provisioning step of the same name against an existing WebApp.
+   */
+  async applyStep(step, ref) {
+    const webApp = await this._resolveApp(ref);
+    if (step === 'hub' && !this._isWordPress(webApp)) {
+      throw new Error(`RunCloud Hub is only for WordPress apps; ${webApp.name} is a custom app (stack: ${webApp.stack}).`);
+    }
+
+    // SSL targets the requested domain, or every domain of the WebApp
+    const sslDomains = this.cfg.domainName ? [this.cfg.domainName] : null;
+
+    // Without settings options, `php` keeps its original meaning: remove disabled functions
+    const unrestrictedPhp = step === 'php' && !this.cfg.phpSettings;
+
+    Logger.header(`Running "${step}" on ${webApp.name} (ID: ${webApp.id})...`);
+    const service = new ProvisioningService({ ...this.cfg, appName: webApp.name, sslDomains, unrestrictedPhp }, { inventory: this.inventory });
+    return service.runStep(step, webApp.id);
+  }
+
+  /**
+   * True unless the API reports the WebApp as a non-WordPress app.
+   * Without a type field, custom and Node.js apps are recognized by their forced customnginx stack.
+   */
+  _isWordPress(webApp) {
+    const type = webApp.type ?? webApp.appType;
+    if (typeof type === 'string') return type.toLowerCase() === CONSTANTS.APP_TYPES.WORDPRESS;
+    return webApp.stack !== 'customnginx';
+  }
+
+  /**
+   * Looks up a WebApp by name or ID, failing clearly when it does not exist.
+   */
+  async _resolveApp(ref) {
+    const webApp = await this.client.findWebApp(ref);
+    if (!webApp) throw new Error(`WebApp "${ref}" not found on server ${this.cfg.serverId}.`);
+    return webApp;
+  }
+}
+
+module.exports = { WebAppService };
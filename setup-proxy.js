@@ -2,148 +2,371 @@
 
 /**
  * Configures Nginx Reverse Proxy for Node.js apps on RunCloud.
- * Automatically detects the next available port by scanning existing configs.
+ * Automatically allocates the lowest free port: unused by existing configs and not bound by any process.
+ * Optionally runs the app itself as a systemd service listening on that port.
+ *
+ * Commands: create (default), list, update, remove, restore.
+ * Every change is validated with `nginx-rc -t` before Nginx is reloaded, and the previous version is kept as a backup.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
-const { exec } = require('child_process');
-const util = require('util');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
+const {
+  CONFIG_DIR,
+  NGINX_COMMANDS,
+  PORT_RANGE,
+  PROXY_PRESETS,
+  configFileName,
+  assertSiteName,
+  renderProxyConfig,
+  collectUsedPorts,
+  isPortFree,
+  findFreePort,
+  assertPortUnclaimed,
+  listProxyConfigs,
+  hasProxyConfig,
+  installProxyConfig,
+  updateProxyPort,
+  removeProxyConfig,
+  restoreProxyConfig,
+  listProxyBackups
+} = require('./core/NginxProxy');
+const SystemdService = require('./core/SystemdService');
 
-const execPromise = util.promisify(exec);
+/**
+ * Fails unless running as root, which writing to /etc/nginx-rc/ requires.
+ * Runs against another config dir (e.g. a temp dir for testing) skip the check.
+ */
+function requireRoot(argv) {
+  if (argv['config-dir'] !== CONFIG_DIR) return;
+  if (process.getuid && process.getuid() !== 0) {
+    throw new Error('Permission Denied: This script must be run as root (sudo) to write to /etc/nginx-rc/.');
+  }
+}
 
-// Constants
-const CONFIG_DIR = '/etc/nginx-rc/extra.d';
-const START_PORT = 3000;
+/**
+ * Target directories and commands, from the override options.
+ */
+function targets(argv) {
+  return {
+    configDir: argv['config-dir'],
+    commands: { test: argv['nginx-test'], reload: argv['nginx-reload'] },
+    unitDir: argv['unit-dir'],
+    systemctl: argv.systemctl
+  };
+}
 
 /**
- * Scans existing Nginx config files to find the highest port currently in use.
+ * Creates a site's proxy config on the requested or lowest free port,
+ * starting the app's systemd service first when --service is given.
+ * Every collision check runs before anything is changed; a replaced (--force) unit is put back on failure.
  */
-async function findNextPort() {
-  try {
-    // Check if directory exists
+async function createProxy(argv) {
+  requireRoot(argv);
+
+  const siteName = argv.site;
+  const { configDir, commands, unitDir, systemctl } = targets(argv);
+  let appPort = argv.port;
+
+  // Determine Port
+  const usedPorts = await collectUsedPorts(configDir);
+  if (appPort) {
+    console.log(`ℹ️  Manual port override detected.`);
+    assertPortUnclaimed(appPort, siteName, usedPorts);
+  } else {
+    console.log(`🔍 Allocating a free port (${argv['port-min']}-${argv['port-max']})...`);
+    appPort = await findFreePort(usedPorts, { min: argv['port-min'], max: argv['port-max'] });
+  }
+
+  const filePath = path.join(configDir, configFileName(siteName));
+  if (!argv.force && await hasProxyConfig(siteName, { configDir })) {
+    throw new Error(`A proxy config for "${siteName}" already exists (${filePath}). Use --force to replace it, or update to change its port.`);
+  }
+
+  const unit = SystemdService.unitName(siteName);
+  const previousUnit = argv.service ? await SystemdService.readService(siteName, { unitDir }) : null;
+  if (previousUnit !== null && !argv.force) {
+    throw new Error(`A service for "${siteName}" already exists (${path.join(unitDir, unit)}). Use --force to replace it.`);
+  }
+
+  const template = argv.template ? await readTemplate(argv.template) : undefined;
+  const proxyOptions = {
+    preset: argv.preset,
+    template,
+    readTimeout: argv['read-timeout'],
+    maxBodySize: argv['max-body-size'],
+    pathPrefix: argv.path
+  };
+  // Render once up front, so bad options fail before the service is touched
+  renderProxyConfig(appPort, { site: siteName, ...proxyOptions });
+
+  console.log(`\n🚀 Configuring Nginx Proxy...`);
+  console.log(`   Site: ${siteName}`);
+  console.log(`   Port: ${appPort}`);
+  console.log(`   Template: ${argv.template || argv.preset}`);
+  if (argv.path) console.log(`   Location: ${argv.path}`);
+  console.log(`   Path: ${filePath}`);
+
+  // Start the app before Nginx points at it
+  if (argv.service) {
+    // The replaced unit may hold the port itself
+    if (previousUnit !== null) await SystemdService.stopService(siteName, { unitDir, systemctl });
+
+    // Only a free port proves that whatever answers on it later is the new service
+    if (!await isPortFree(appPort)) {
+      if (previousUnit !== null) await SystemdService.restoreService(siteName, previousUnit, { unitDir, systemctl });
+      throw new Error(`Port ${appPort} is already in use by another process. Nothing was changed.`);
+    }
+
+    console.log(`👉 Installing and starting ${unit} (${argv.start} as ${argv.user})...`);
     try {
-      await fs.access(CONFIG_DIR);
-    } catch {
-      // If directory doesn't exist yet, start at base port
-      return START_PORT;
+      await SystemdService.installService({
+        site: siteName,
+        workdir: path.resolve(argv.workdir),
+        command: argv.start,
+        user: argv.user,
+        envFile: argv['env-file'] && path.resolve(argv['env-file']),
+        port: appPort
+      }, { unitDir, systemctl, force: argv.force });
+    } catch (error) {
+      await SystemdService.restoreService(siteName, previousUnit, { unitDir, systemctl });
+      throw error;
     }
 
-    const files = await fs.readdir(CONFIG_DIR);
+    console.log(`⏳ Waiting for the app to answer on port ${appPort}...`);
+    if (!await SystemdService.waitForPort(appPort, { timeoutMs: argv['service-timeout'] * 1000 })) {
+      await SystemdService.restoreService(siteName, previousUnit, { unitDir, systemctl });
+      throw new Error(`${unit} did not answer on port ${appPort} within ${argv['service-timeout']}s. ${previousUnit === null ? 'The service was removed' : 'The previous service was restored'}; check "journalctl -u ${unit}".`);
+    }
+    console.log(`✅ App is listening.`);
+  }
 
-    // Filter for files strictly matching the naming convention
-    const confFiles = files.filter(f => f.endsWith('.location.root.server.conf'));
+  // Write, test (reverting on syntax errors) and reload
+  console.log('👉 Writing configuration, testing and reloading Nginx...');
+  try {
+    await installProxyConfig(siteName, appPort, { configDir, commands, force: argv.force, ...proxyOptions });
+  } catch (error) {
+    // Don't leave a service running that nothing proxies to
+    if (argv.service) await SystemdService.restoreService(siteName, previousUnit, { unitDir, systemctl });
+    throw error;
+  }
+  console.log('✅ Syntax OK. Nginx Reloaded.');
 
-    if (confFiles.length === 0) return START_PORT;
+  // Output Success
+  console.log('\n-----------------------------------');
+  console.log(`Proxy active: http://127.0.0.1:${appPort}`);
+  if (argv.service) console.log(`Service: ${unit}`);
+  //console.log(`PORT_ASSIGNED=${appPort}`);
+  console.log('-----------------------------------');
+}
 
-    const usedPorts = [];
+/**
+ * Reads a user template file.
+ */
+async function readTemplate(file) {
+  try {
+    return await fs.readFile(path.resolve(file), 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read template ${file}: ${error.message}`);
+  }
+}
 
-    // Process files in parallel for performance
-    await Promise.all(confFiles.map(async (file) => {
-      try {
-        const content = await fs.readFile(path.join(CONFIG_DIR, file), 'utf8');
+/**
+ * Prints a site -> port table of every proxy config.
+ */
+async function listProxies(argv) {
+  const { configDir, unitDir } = targets(argv);
+  const configs = await listProxyConfigs(configDir);
 
-        // Regex to find 'proxy_pass http://127.0.0.1:XXXX;'
-        // Matches 127.0.0.1: followed by digits
-        const match = content.match(/127\.0\.0\.1:(\d+)/);
+  if (configs.length === 0) {
+    console.log(`No proxy configs in ${configDir}.`);
+    return;
+  }
 
-        if (match && match[1]) {
-          usedPorts.push(parseInt(match[1], 10));
-        }
-      } catch (err) {
-        console.warn(`⚠️  Could not read config file: ${file}. Skipping.`);
-      }
-    }));
+  const services = await Promise.all(configs.map(c => SystemdService.hasService(c.site, { unitDir })));
+  const rows = configs.map((c, i) => [c.site, c.ports.join(', ') || '-', services[i] ? SystemdService.unitName(c.site) : '-']);
+  const widths = [0, 1].map(col => Math.max(['Site', 'Port'][col].length, ...rows.map(r => r[col].length)));
 
-    if (usedPorts.length === 0) return START_PORT;
+  const line = (cells) => `${cells[0].padEnd(widths[0])}  ${cells[1].padEnd(widths[1])}  ${cells[2]}`;
+  console.log(line(['Site', 'Port', 'Service']));
+  console.log(line(['-'.repeat(widths[0]), '-'.repeat(widths[1]), '-------']));
+  rows.forEach(r => console.log(line(r)));
+}
 
-    // Find Max + 1
-    const maxPort = Math.max(...usedPorts);
-    return maxPort + 1;
+/**
+ * Moves an existing site's proxy (and its service, if it has one) to another port.
+ */
+async function updateProxy(argv) {
+  requireRoot(argv);
+  const { configDir, commands, unitDir, systemctl } = targets(argv);
 
+  // Check before the unit moves, so a taken port changes nothing
+  if (!await hasProxyConfig(argv.site, { configDir })) {
+    throw new Error(`No proxy config for "${argv.site}" (${path.join(configDir, configFileName(argv.site))}).`);
+  }
+  const usedPorts = await collectUsedPorts(configDir);
+  assertPortUnclaimed(argv.port, argv.site, usedPorts);
+
+  // Move the app first, so Nginx only switches once the new port answers
+  let servicePort = null;
+  if (await SystemdService.hasService(argv.site, { unitDir })) {
+    // The site's own port is busy with its own app; any other port must be free to prove the move
+    if (usedPorts.get(argv.port) !== argv.site && !await isPortFree(argv.port)) throw new Error(`Port ${argv.port} is already in use by another process. Nothing was changed.`);
+    console.log(`👉 Restarting ${SystemdService.unitName(argv.site)} on port ${argv.port}...`);
+    servicePort = await SystemdService.updateServicePort(argv.site, argv.port, { unitDir, systemctl });
+    if (!await SystemdService.waitForPort(argv.port, { timeoutMs: argv['service-timeout'] * 1000 })) {
+      await SystemdService.updateServicePort(argv.site, servicePort, { unitDir, systemctl });
+      throw new Error(`The app did not answer on port ${argv.port} within ${argv['service-timeout']}s. The service was moved back to port ${servicePort}; Nginx was left unchanged.`);
+    }
+  }
+
+  console.log(`👉 Updating ${argv.site} to port ${argv.port}, testing and reloading Nginx...`);
+  let previous;
+  try {
+    previous = await updateProxyPort(argv.site, argv.port, { configDir, commands });
   } catch (error) {
-    throw new Error(`Port Auto-Discovery Failed: ${error.message}`);
+    if (servicePort !== null) await SystemdService.updateServicePort(argv.site, servicePort, { unitDir, systemctl });
+    throw error;
   }
+  console.log(`✅ Syntax OK. Nginx Reloaded.`);
+  console.log(`\nProxy active: http://127.0.0.1:${argv.port} (was ${previous.join(', ') || 'none'})`);
+}
+
+/**
+ * Deletes a site's proxy config, and its service if it has one.
+ */
+async function removeProxy(argv) {
+  requireRoot(argv);
+  const { configDir, commands, unitDir, systemctl } = targets(argv);
+
+  console.log(`👉 Removing proxy config of ${argv.site}, testing and reloading Nginx...`);
+  await removeProxyConfig(argv.site, { configDir, commands });
+  console.log('✅ Proxy config removed. Nginx Reloaded.');
+
+  if (await SystemdService.removeService(argv.site, { unitDir, systemctl })) {
+    console.log(`✅ Service ${SystemdService.unitName(argv.site)} stopped and removed.`);
+  }
+}
+
+/**
+ * Rolls a site's proxy config back to a backup (the latest unless --backup names one), or lists them with --list.
+ */
+async function restoreProxy(argv) {
+  const { configDir, commands } = targets(argv);
+
+  if (argv.list) {
+    const backups = await listProxyBackups(argv.site, { configDir });
+    if (backups.length === 0) console.log(`No backups of ${argv.site}.`);
+    backups.reverse().forEach(file => console.log(path.basename(file)));
+    return;
+  }
+
+  requireRoot(argv);
+  console.log(`👉 Restoring ${argv.backup || 'the last backup'} of ${argv.site}, testing and reloading Nginx...`);
+  const { restored, saved } = await restoreProxyConfig(argv.site, { configDir, commands, backup: argv.backup });
+  console.log(`✅ Restored ${path.basename(restored)}. Nginx Reloaded.`);
+  if (saved) console.log(`ℹ️  The replaced version was saved as ${path.basename(saved)}; run restore again to undo.`);
 }
 
 (async () => {
   try {
-    // Check for Root Privileges
-    if (process.getuid && process.getuid() !== 0) {
-      throw new Error('Permission Denied: This script must be run as root (sudo) to write to /etc/nginx-rc/.');
-    }
+    // Checked at parse time, so no command touches a file for an unusable name
+    const site = {
+      alias: 's',
+      type: 'string',
+      demandOption: true,
+      description: 'Name of the site/app (used for filename)',
+      coerce: (name) => { assertSiteName(name); return name; }
+    };
+    const serviceTimeout = { type: 'number', default: 30, description: 'Seconds to wait for the app to answer on its port' };
 
     // Parse Arguments
     const argv = yargs(hideBin(process.argv))
-      .option('site', {
-        alias: 's',
-        type: 'string',
-        demandOption: true,
-        description: 'Name of the site/app (used for filename)'
-      })
-      .option('port', {
-        alias: 'p',
-        type: 'number',
-        description: 'Specific port to use (Optional. If omitted, next available port is used)'
-      })
+      .command(['create', '$0'], 'Create a proxy config (default)', (y) => y
+        .option('site', site)
+        .option('port', {
+          alias: 'p',
+          type: 'number',
+          description: 'Specific port to use (Optional. If omitted, the lowest free port is used)'
+        })
+        .option('port-min', {
+          type: 'number',
+          default: PORT_RANGE.MIN,
+          description: 'Lowest port considered for automatic allocation'
+        })
+        .option('port-max', {
+          type: 'number',
+          default: PORT_RANGE.MAX,
+          description: 'Highest port considered for automatic allocation'
+        })
+        .option('force', {
+          type: 'boolean',
+          default: false,
+          description: 'Replace an existing config (and service) of the same site'
+        })
+        .option('preset', {
+          type: 'string',
+          default: 'basic',
+          choices: Object.keys(PROXY_PRESETS),
+          description: 'Snippet preset'
+        })
+        .option('template', {
+          type: 'string',
+          description: 'Template file used instead of a preset. Placeholders: {{port}}, {{site}}, {{path}}, {{read_timeout}}, {{max_body_size}}'
+        })
+        .option('read-timeout', {
+          type: 'number',
+          description: 'proxy_read_timeout in seconds (websocket/sse default to 3600)'
+        })
+        .option('max-body-size', {
+          type: 'string',
+          description: 'client_max_body_size, e.g. 50m'
+        })
+        .option('path', {
+          type: 'string',
+          description: 'Only proxy this path prefix, e.g. /api (static+api defaults to /api)'
+        })
+        .option('service', {
+          type: 'boolean',
+          default: false,
+          description: 'Also run the app as a systemd service (needs --workdir, --start and --user)'
+        })
+        .option('workdir', { type: 'string', description: 'Working directory of the app' })
+        .option('start', { type: 'string', description: 'Start command, e.g. "npm start"' })
+        .option('user', { type: 'string', description: 'System user the app runs as' })
+        .option('env-file', { type: 'string', description: 'Environment file loaded by the service' })
+        .option('service-timeout', serviceTimeout)
+        .check((args) => {
+          if (args['port-min'] > args['port-max']) throw new Error('--port-min must not be greater than --port-max');
+          const missing = ['workdir', 'start', 'user'].filter(key => !args[key]);
+          if (args.service && missing.length) throw new Error(`--service needs ${missing.map(k => `--${k}`).join(', ')}`);
+          return true;
+        }))
+      .command('list', 'List proxy configs (site -> port)')
+      .command('update', 'Change the port of an existing proxy config', (y) => y
+        .option('site', site)
+        .option('port', { alias: 'p', type: 'number', demandOption: true, description: 'New port' })
+        .option('service-timeout', serviceTimeout))
+      .command('remove', 'Remove a proxy config', (y) => y
+        .option('site', site))
+      .command('restore', 'Roll a proxy config back to a backup (Default: the latest)', (y) => y
+        .option('site', site)
+        .option('backup', { type: 'string', description: 'Backup file name to restore (see --list)' })
+        .option('list', { type: 'boolean', description: 'List the backups of the site, newest first' }))
+      // Overrides, e.g. to try the flow in a temp dir with stub commands
+      .option('config-dir', { type: 'string', default: CONFIG_DIR, description: 'Nginx snippet directory' })
+      .option('unit-dir', { type: 'string', default: SystemdService.UNIT_DIR, description: 'systemd unit directory' })
+      .option('nginx-test', { type: 'string', default: NGINX_COMMANDS.test, description: 'Command validating the Nginx config' })
+      .option('nginx-reload', { type: 'string', default: NGINX_COMMANDS.reload, description: 'Command reloading Nginx' })
+      .option('systemctl', { type: 'string', default: SystemdService.SYSTEMCTL, description: 'systemctl binary' })
+      .strictCommands()
       .help()
       .argv;
 
-    const siteName = argv.site;
-    let appPort = argv.port;
-
-    // Determine Port
-    if (appPort) {
-      console.log(`ℹ️  Manual port override detected.`);
-    } else {
-      console.log('🔍 Auto-detecting next available port...');
-      appPort = await findNextPort();
-    }
-
-    // Define Configuration
-    const fileName = `${siteName}.location.root.server.conf`;
-    const filePath = path.join(CONFIG_DIR, fileName);
-
-    const nginxConfig = `
-proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
-proxy_set_header X-Forwarded-Proto $scheme;
-proxy_set_header X-Real-IP $remote_addr;
-proxy_set_header Host $http_host;
-proxy_pass http://127.0.0.1:${appPort};
-`;
-
-    console.log(`\n🚀 Configuring Nginx Proxy...`);
-    console.log(`   Site: ${siteName}`);
-    console.log(`   Port: ${appPort}`);
-    console.log(`   Path: ${filePath}`);
-
-    // Write Configuration File
-    await fs.writeFile(filePath, nginxConfig.trim());
-    console.log('✅ Configuration file created.');
-
-    // Test Nginx Configuration
-    console.log('👉 Testing Nginx configuration...');
-    try {
-      await execPromise('nginx-rc -t');
-      console.log('✅ Syntax OK.');
-    } catch (testError) {
-      // Rollback on syntax error
-      await fs.unlink(filePath);
-      throw new Error(`Nginx Syntax Check Failed. Reverting changes. Details: ${testError.stderr}`);
-    }
-
-    // Reload Nginx
-    console.log('👉 Reloading Nginx...');
-    await execPromise('systemctl reload nginx-rc');
-    console.log('✅ Nginx Reloaded.');
-
-    // Output Success
-    console.log('\n-----------------------------------');
-    console.log(`Proxy active: http://127.0.0.1:${appPort}`);
-    //console.log(`PORT_ASSIGNED=${appPort}`);
-    console.log('-----------------------------------');
+    const commands = { create: createProxy, list: listProxies, update: updateProxy, remove: removeProxy, restore: restoreProxy };
+    await commands[argv._[0] || 'create'](argv);
 
   } catch (error) {
     console.error(`\n❌ Error: ${error.message}`);
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ConfigManager } = require('../config/ConfigManager');
+
+/** Validation helpers only read the site passed in, so no CLI parsing is needed */
+const manager = Object.create(ConfigManager.prototype);
+
+const site = (overrides = {}) => ({
+  http: { retries: 3, timeoutMs: 30000, ...overrides.http },
+  wait: { timeoutMs: 120000, intervalMs: 3000, ...overrides.wait },
+  ssl: { timeoutMs: 180000, dnsWaitMs: 0, ...overrides.ssl }
+});
+
+test('_numberProblem accepts the defaults', () => {
+  assert.equal(manager._numberProblem(site()), null);
+  assert.equal(manager._numberProblem(site({ http: { retries: 0 } })), null);
+});
+
+test('_numberProblem rejects retries that are not a whole number of 0 or more', () => {
+  assert.match(manager._numberProblem(site({ http: { retries: NaN } })), /Retries must be a whole number of 0 or more \(got NaN\)/);
+  assert.match(manager._numberProblem(site({ http: { retries: -1 } })), /Retries/);
+  assert.match(manager._numberProblem(site({ http: { retries: 1.5 } })), /Retries/);
+});
+
+test('_numberProblem rejects a request timeout that is not a positive number', () => {
+  assert.match(manager._numberProblem(site({ http: { timeoutMs: NaN } })), /Request timeout must be a positive number of seconds/);
+  assert.match(manager._numberProblem(site({ http: { timeoutMs: 0 } })), /Request timeout/);
+});
+
+test('_numberProblem rejects a wait timeout that is not a positive number', () => {
+  assert.match(manager._numberProblem(site({ wait: { timeoutMs: NaN } })), /Wait timeout must be a positive number of seconds \(got NaN\)/);
+  assert.match(manager._numberProblem(site({ wait: { timeoutMs: -5000 } })), /Wait timeout/);
+});
+
+test('_numberProblem rejects a poll interval that is not a positive number', () => {
+  assert.match(manager._numberProblem(site({ wait: { intervalMs: 0 } })), /Poll interval must be a positive number of seconds \(got 0\)/);
+  assert.match(manager._numberProblem(site({ wait: { intervalMs: NaN } })), /Poll interval/);
+});
+
+test('_numberProblem rejects an SSL timeout that is not a positive number', () => {
+  assert.match(manager._numberProblem(site({ ssl: { timeoutMs: NaN } })), /SSL timeout must be a positive number of seconds \(got NaN\)/);
+  assert.match(manager._numberProblem(site({ ssl: { timeoutMs: 0 } })), /SSL timeout/);
+});
+
+test('_numberProblem rejects a DNS wait that is not a number of 0 or more', () => {
+  assert.match(manager._numberProblem(site({ ssl: { dnsWaitMs: NaN } })), /DNS wait must be a number of seconds, 0 or more \(got NaN\)/);
+  assert.match(manager._numberProblem(site({ ssl: { dnsWaitMs: -1000 } })), /DNS wait/);
+  assert.equal(manager._numberProblem(site({ ssl: { dnsWaitMs: 300000 } })), null);
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DnsChecker } = require('../core/DnsChecker');
+
+/** Resolver answering from fixed records; missing names fail like dns.promises does */
+const fakeResolver = (records) => {
+  const answer = (type) => async (domain) => {
+    const list = records[domain]?.[type];
+    if (list) return list;
+    throw Object.assign(new Error(`query${type} ENODATA ${domain}`), { code: 'ENODATA' });
+  };
+  return { resolve4: answer('A'), resolve6: answer('AAAA') };
+};
+
+const server = { ipv4: '203.0.113.10', ipv6: '2001:db8::10' };
+
+test('passes when every record points at the server', async () => {
+  const checker = new DnsChecker(fakeResolver({ 'a.test': { A: ['203.0.113.10'], AAAA: ['2001:0db8:0:0:0:0:0:10'] } }));
+  assert.deepEqual(await checker.check('a.test', server), { ok: true, addresses: ['203.0.113.10', '2001:0db8:0:0:0:0:0:10'] });
+});
+
+test('fails on a stale AAAA record even when the A record is right', async () => {
+  const checker = new DnsChecker(fakeResolver({ 'a.test': { A: ['203.0.113.10'], AAAA: ['2001:db8::99'] } }));
+  assert.equal((await checker.check('a.test', server)).ok, false);
+});
+
+test('fails on an AAAA record when the server has no IPv6 address', async () => {
+  const checker = new DnsChecker(fakeResolver({ 'a.test': { A: ['203.0.113.10'], AAAA: ['2001:db8::10'] } }));
+  assert.equal((await checker.check('a.test', { ipv4: server.ipv4 })).ok, false);
+});
+
+test('fails when the domain has no records', async () => {
+  const checker = new DnsChecker(fakeResolver({}));
+  assert.deepEqual(await checker.check('missing.test', server), { ok: false, addresses: [] });
+});
+
+test('rethrows resolver errors other than missing records', async () => {
+  const checker = new DnsChecker({
+    resolve4: async () => { throw Object.assign(new Error('timeout'), { code: 'ETIMEOUT' }); },
+    resolve6: async () => []
+  });
+  await assert.rejects(checker.check('a.test', server), { code: 'ETIMEOUT' });
+});
+
+test('waitFor re-checks until the records point at the server', async () => {
+  let calls = 0;
+  const checker = new DnsChecker({
+    resolve4: async () => (++calls < 3 ? ['198.51.100.1'] : ['203.0.113.10']),
+    resolve6: async () => []
+  });
+  const polls = [];
+  const result = await checker.waitFor('a.test', server, { timeoutMs: 1000, intervalMs: 1, onPoll: (ms, addresses) => polls.push(addresses) });
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(polls, [['198.51.100.1'], ['198.51.100.1']]);
+});
+
+test('waitFor gives up once the timeout is reached', async () => {
+  const checker = new DnsChecker(fakeResolver({ 'a.test': { A: ['198.51.100.1'] } }));
+  const result = await checker.waitFor('a.test', server, { timeoutMs: 5, intervalMs: 10 });
+  assert.deepEqual(result, { ok: false, addresses: ['198.51.100.1'] });
+});
@@ -0,0 +1,92 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Inventory } = require('../core/Inventory');
+
+let dir;
+let inventory;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rc-inventory-'));
+  inventory = new Inventory(path.join(dir, 'inventory.json'));
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const created = {
+  command: 'create',
+  serverId: 1,
+  webAppId: 7,
+  app: 'blog',
+  status: 'success',
+  domain: 'blog.com',
+  domains: ['blog.com'],
+  type: 'wordpress',
+  stack: 'hybrid',
+  phpVersion: 'php83rc',
+  phpLabel: '8.3',
+  flags: { hub: true, ssl: true, unrestricted: false },
+  sslDomains: ['blog.com'],
+  phpSettings: { memory_limit: 256 },
+  rolledBack: false
+};
+
+/** An ensure run on the existing site that applied nothing but the PHP version */
+const ensured = {
+  ...created,
+  command: 'ensure',
+  phpVersion: 'php84rc',
+  phpLabel: '8.4',
+  flags: { hub: false, ssl: false, unrestricted: false },
+  sslDomains: [],
+  phpSettings: null,
+  changes: { webapp: 'unchanged', phpVersion: 'changed', domains: 'skipped', proxy: 'skipped', git: 'skipped', php: 'skipped', hub: 'skipped', ssl: 'skipped' }
+};
+
+test('an ensure run without SSL keeps the SSL recorded by create', async () => {
+  await inventory.record(created);
+  await inventory.record(ensured);
+
+  const [site] = await inventory.sites();
+  assert.equal(site.flags.ssl, true);
+  assert.deepEqual(site.sslDomains, ['blog.com']);
+  assert.equal(site.flags.hub, true);
+  assert.deepEqual(site.phpSettings, { memory_limit: 256 });
+  assert.equal(site.phpVersion, 'php84rc');
+});
+
+test('an ensure run updates the steps it reconciled', async () => {
+  await inventory.record({ ...created, flags: { hub: false, ssl: false, unrestricted: false }, sslDomains: [] });
+  await inventory.record({
+    ...ensured,
+    domains: ['blog.com', 'www.blog.com'],
+    flags: { hub: false, ssl: true, unrestricted: true },
+    sslDomains: ['blog.com', 'www.blog.com'],
+    phpSettings: { disable_functions: '' },
+    changes: { ...ensured.changes, domains: 'created', php: 'changed', hub: 'unchanged', ssl: 'created' }
+  });
+
+  const [site] = await inventory.sites();
+  assert.deepEqual(site.domains, ['blog.com', 'www.blog.com']);
+  assert.deepEqual(site.flags, { hub: true, ssl: true, unrestricted: true });
+  assert.deepEqual(site.phpSettings, { memory_limit: 256, disable_functions: '' });
+});
+
+test('a rolled back ensure run on an existing site keeps it', async () => {
+  await inventory.record(created);
+  await inventory.record({ ...ensured, status: 'failed', rolledBack: true });
+
+  assert.equal((await inventory.sites()).length, 1);
+});
+
+test('an ensure run that created the site records it like create', async () => {
+  await inventory.record({ ...ensured, changes: { ...ensured.changes, webapp: 'created' } });
+
+  const [site] = await inventory.sites();
+  assert.equal(site.command, 'ensure');
+  assert.equal(site.phpVersion, 'php84rc');
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { InventoryService } = require('../services/InventoryService');
+
+const service = () => new InventoryService({ get: () => ({ serverId: 1 }), getCommand: () => 'drift' }, { inventory: null });
+
+/** Client answering like the API for a WordPress site with one domain */
+const fakeClient = ({ hub = null } = {}) => ({
+  getWebApp: async id => ({ id, name: 'blog', phpVersion: 'php83rc', stack: 'hybrid' }),
+  getDomains: async () => ({ data: [{ id: 1, name: 'blog.com' }] }),
+  isSslActive: async () => true,
+  getHub: async () => hub,
+  getFpmSettings: async () => ({})
+});
+
+const site = (flags) => ({
+  app: 'blog',
+  webAppId: 7,
+  serverId: 1,
+  type: 'wordpress',
+  stack: 'hybrid',
+  phpVersion: 'php83rc',
+  domains: ['blog.com'],
+  flags: { hub: false, ssl: false, unrestricted: false, ...flags }
+});
+
+test('drift reports a recorded Hub that is no longer installed', async () => {
+  const differences = await service()._compare(fakeClient({ hub: null }), site({ hub: true }));
+  assert.deepEqual(differences, [{ setting: 'Hub', recorded: 'installed', current: 'missing' }]);
+});
+
+test('drift reports a Hub installed outside the CLI', async () => {
+  const differences = await service()._compare(fakeClient({ hub: { id: 1 } }), site({ hub: false }));
+  assert.deepEqual(differences, [{ setting: 'Hub', recorded: 'not installed', current: 'installed' }]);
+});
+
+test('drift accepts a Hub that matches the inventory', async () => {
+  assert.deepEqual(await service()._compare(fakeClient({ hub: { id: 1 } }), site({ hub: true })), []);
+});
+
+test('drift skips the Hub check for custom apps', async () => {
+  const client = { ...fakeClient(), getHub: async () => { throw new Error('not expected'); } };
+  assert.deepEqual(await service()._compare(client, { ...site({}), type: 'custom' }), []);
+});
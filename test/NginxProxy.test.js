@@ -0,0 +1,108 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const NginxProxy = require('../core/NginxProxy');
+
+/** Stub commands: `true` passes the syntax check and the reload, `false` fails them */
+const ok = { test: 'true', reload: 'true' };
+const badSyntax = { test: 'false', reload: 'true' };
+
+let configDir;
+
+beforeEach(async () => {
+  configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rc-nginx-'));
+});
+
+afterEach(async () => {
+  await fs.rm(configDir, { recursive: true, force: true });
+});
+
+const snippet = (site) => fs.readFile(path.join(configDir, NginxProxy.configFileName(site)), 'utf8');
+const backups = async () => {
+  try {
+    return await fs.readdir(path.join(configDir, '.backup'));
+  } catch {
+    return [];
+  }
+};
+
+test('installProxyConfig writes the snippet and refuses to replace it without force', async () => {
+  const file = await NginxProxy.installProxyConfig('shop', 3005, { configDir, commands: ok });
+  assert.equal(file, path.join(configDir, 'shop.location.root.server.conf'));
+  assert.match(await snippet('shop'), /proxy_pass http:\/\/127\.0\.0\.1:3005;/);
+
+  await assert.rejects(NginxProxy.installProxyConfig('shop', 3006, { configDir, commands: ok }), /already exists/);
+  await NginxProxy.installProxyConfig('shop', 3006, { configDir, commands: ok, force: true, preset: 'websocket' });
+  assert.match(await snippet('shop'), /proxy_set_header Upgrade/);
+  assert.equal((await backups()).length, 1);
+});
+
+test('a failed syntax check puts the previous snippet back without keeping a backup', async () => {
+  await NginxProxy.installProxyConfig('shop', 3005, { configDir, commands: ok });
+  const before = await snippet('shop');
+
+  await assert.rejects(
+    NginxProxy.installProxyConfig('shop', 3006, { configDir, commands: badSyntax, force: true }),
+    /Syntax Check Failed/
+  );
+  assert.equal(await snippet('shop'), before);
+  assert.deepEqual(await backups(), []);
+});
+
+test('a failed syntax check removes a new snippet', async () => {
+  await assert.rejects(NginxProxy.installProxyConfig('shop', 3005, { configDir, commands: badSyntax }), /Syntax Check Failed/);
+  assert.equal(await NginxProxy.hasProxyConfig('shop', { configDir }), false);
+});
+
+test('updateProxyPort moves the snippet unless another site proxies the port', async () => {
+  await NginxProxy.installProxyConfig('shop', 3005, { configDir, commands: ok });
+  await NginxProxy.installProxyConfig('blog', 3006, { configDir, commands: ok });
+
+  await assert.rejects(NginxProxy.updateProxyPort('shop', 3006, { configDir, commands: ok }), /already proxied for site "blog"/);
+  assert.deepEqual(await NginxProxy.updateProxyPort('shop', 3007, { configDir, commands: ok }), [3005]);
+  assert.deepEqual(NginxProxy.parsePorts(await snippet('shop')), [3007]);
+
+  const used = await NginxProxy.collectUsedPorts(configDir);
+  assert.deepEqual([...used.entries()].sort(), [[3006, 'blog'], [3007, 'shop']]);
+});
+
+test('removeProxyConfig deletes the snippet and keeps it as a backup', async () => {
+  await NginxProxy.installProxyConfig('shop', 3005, { configDir, commands: ok });
+  await NginxProxy.removeProxyConfig('shop', { configDir, commands: ok });
+
+  assert.equal(await NginxProxy.hasProxyConfig('shop', { configDir }), false);
+  assert.equal((await backups()).length, 1);
+});
+
+test('site names that could leave the config dir are rejected', async () => {
+  assert.throws(() => NginxProxy.configFileName('../x'), /Invalid site name/);
+  await assert.rejects(NginxProxy.installProxyConfig('a/b', 3005, { configDir, commands: ok }), /Invalid site name/);
+  await assert.rejects(NginxProxy.removeProxyConfig('..', { configDir, commands: ok }), /Invalid site name/);
+});
+
+test('restoreProxyConfig backs up the replaced version, so restoring again undoes it', async () => {
+  await NginxProxy.installProxyConfig('shop', 3005, { configDir, commands: ok });
+  await NginxProxy.updateProxyPort('shop', 3006, { configDir, commands: ok });
+
+  const first = await NginxProxy.restoreProxyConfig('shop', { configDir, commands: ok });
+  assert.deepEqual(NginxProxy.parsePorts(await snippet('shop')), [3005]);
+  assert.ok(first.saved);
+
+  await NginxProxy.restoreProxyConfig('shop', { configDir, commands: ok });
+  assert.deepEqual(NginxProxy.parsePorts(await snippet('shop')), [3006]);
+
+  const [oldest] = await NginxProxy.listProxyBackups('shop', { configDir });
+  await NginxProxy.restoreProxyConfig('shop', { configDir, commands: ok, backup: path.basename(oldest) });
+  assert.deepEqual(NginxProxy.parsePorts(await snippet('shop')), [3005]);
+});
+
+test('restoreProxyConfig refuses a port another site has taken since the backup', async () => {
+  await NginxProxy.installProxyConfig('shop', 3005, { configDir, commands: ok });
+  await NginxProxy.removeProxyConfig('shop', { configDir, commands: ok });
+  await NginxProxy.installProxyConfig('blog', 3005, { configDir, commands: ok });
+
+  await assert.rejects(NginxProxy.restoreProxyConfig('shop', { configDir, commands: ok }), /already proxied for site "blog"/);
+  assert.equal(await NginxProxy.hasProxyConfig('shop', { configDir }), false);
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CONSTANTS = require('../config/constants');
+const { ProvisioningService } = require('../services/ProvisioningService');
+const { Logger } = require('../utils/logger');
+const { toFpmPayload, sameSettingValue } = require('../utils/phpSettings');
+
+Logger.setSilent(true);
+
+const DEFAULTS = CONSTANTS.DEFAULT_DISABLED_FUNCTIONS.join(',');
+
+/** Ensure-mode service for a WordPress app whose PHP-FPM settings live in `fpm` */
+const ensureService = (disabledFunctions, { unrestrictedPhp }) => {
+  const service = new ProvisioningService({
+    serverId: 1,
+    apiKey: 'key',
+    http: {},
+    appType: CONSTANTS.APP_TYPES.WORDPRESS,
+    appName: 'blog',
+    domainName: 'blog.com',
+    ensure: true,
+    unrestrictedPhp,
+    phpSettings: null
+  });
+  let fpm = toFpmPayload({ disable_functions: disabledFunctions });
+  service.patches = [];
+  service.client = {
+    getFpmSettings: async () => ({ ...fpm }),
+    updateFpmSettings: async (id, payload) => { service.patches.push(payload); fpm = { ...fpm, ...payload }; }
+  };
+  service.changes = {};
+  service.current = () => fpm;
+  return service;
+};
+
+const disabledIn = (service) => Object.values(service.current())[0];
+
+test('ensure restores the default disabled functions on a restricted site that was unlocked', async () => {
+  const service = ensureService('', { unrestrictedPhp: false });
+  await service._ensurePhpSettings(7, true);
+
+  assert.equal(service.changes.php, 'changed');
+  assert.ok(sameSettingValue('disable_functions', disabledIn(service), DEFAULTS));
+});
+
+test('ensure unlocks an unrestricted site whose disabled functions came back', async () => {
+  const service = ensureService(DEFAULTS, { unrestrictedPhp: true });
+  await service._ensurePhpSettings(7, true);
+
+  assert.equal(service.changes.php, 'changed');
+  assert.equal(disabledIn(service), '');
+});
+
+test('ensure leaves matching disabled functions alone', async () => {
+  for (const [current, unrestrictedPhp] of [[DEFAULTS, false], ['', true]]) {
+    const service = ensureService(current, { unrestrictedPhp });
+    await service._ensurePhpSettings(7, true);
+
+    assert.equal(service.changes.php, 'unchanged');
+    assert.deepEqual(service.patches, []);
+  }
+});
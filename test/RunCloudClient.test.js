@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CONSTANTS = require('../config/constants');
+const { RunCloudClient } = require('../core/RunCloudClient');
+
+const failure = (fields) => Object.assign(new Error('failed'), fields);
+
+/** Client whose every attempt fails with `error`, without waiting between retries */
+const failingClient = (error, retries) => {
+  const client = new RunCloudClient('key', 1, { retries });
+  client.attempts = 0;
+  client._send = async () => { client.attempts++; throw error; };
+  client._retryDelay = () => 0;
+  return client;
+};
+
+test('_request stops after the configured number of retries', async () => {
+  const client = failingClient(failure({ status: 502 }), 2);
+  await assert.rejects(client._request('/servers', 'GET'), { status: 502 });
+  assert.equal(client.attempts, 3);
+});
+
+test('_request does not retry with retries set to 0', async () => {
+  const client = failingClient(failure({ status: 502 }), 0);
+  await assert.rejects(client._request('/servers', 'GET'));
+  assert.equal(client.attempts, 1);
+});
+
+test('_request does not re-send a POST after an ambiguous failure', async () => {
+  const client = failingClient(failure({ status: 502 }), 3);
+  await assert.rejects(client._request('/servers/1/webapps/custom', 'POST', {}));
+  assert.equal(client.attempts, 1);
+});
+
+test('_request returns what verify finds instead of re-sending', async () => {
+  const client = failingClient(failure({ transient: true }), 3);
+  const found = await client._request('/servers/1/webapps/custom', 'POST', {}, { retry: 'verify', verify: async () => ({ id: 9 }) });
+  assert.deepEqual(found, { id: 9 });
+  assert.equal(client.attempts, 1);
+});
+
+test('_isRetryable follows the retry policy', () => {
+  const client = new RunCloudClient('key', 1);
+  assert.equal(client._isRetryable(failure({ status: 429 }), 'rejected'), true);
+  assert.equal(client._isRetryable(failure({ code: 'ECONNREFUSED', transient: true }), 'rejected'), true);
+  assert.equal(client._isRetryable(failure({ status: 502 }), 'rejected'), false);
+  assert.equal(client._isRetryable(failure({ status: 502 }), 'always'), true);
+  assert.equal(client._isRetryable(failure({ transient: true }), 'verify'), true);
+  assert.equal(client._isRetryable(failure({ status: 422 }), 'always'), false);
+});
+
+test('_retryDelay backs off exponentially with jitter up to the maximum', () => {
+  const client = new RunCloudClient('key', 1);
+  const { BASE_DELAY_MS, MAX_DELAY_MS } = CONSTANTS.HTTP;
+
+  for (const attempt of [0, 1, 2]) {
+    const ceiling = BASE_DELAY_MS * 2 ** attempt;
+    const delay = client._retryDelay(attempt);
+    assert.ok(delay >= ceiling / 2 && delay <= ceiling, `attempt ${attempt}: ${delay}`);
+  }
+  assert.ok(client._retryDelay(20) <= MAX_DELAY_MS);
+});
+
+test('_retryDelay honours Retry-After, capped at the maximum', () => {
+  const client = new RunCloudClient('key', 1);
+  assert.equal(client._retryDelay(0, '2'), 2000);
+  assert.equal(client._retryDelay(0, '3600'), CONSTANTS.HTTP.MAX_DELAY_MS);
+
+  const date = new Date(Date.now() + 5000).toUTCString();
+  const delay = client._retryDelay(0, date);
+  assert.ok(delay > 3000 && delay <= 5000, String(delay));
+});
+
+test('getSsl is a GET, so server errors on it are retried', async () => {
+  const client = failingClient(failure({ status: 503 }), 1);
+  const methods = [];
+  const send = client._send;
+  client._send = async (endpoint, method) => { methods.push(method); return send(); };
+
+  await assert.rejects(client.getSsl(7, 1), { status: 503 });
+  assert.deepEqual(methods, ['GET', 'GET']);
+});
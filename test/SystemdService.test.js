@@ -0,0 +1,64 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const SystemdService = require('../core/SystemdService');
+
+const service = { site: 'shop', workdir: '/home/app/shop', command: 'npm start', user: 'app', port: 3005 };
+
+let unitDir;
+let opts;
+
+beforeEach(async () => {
+  unitDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rc-units-'));
+  // `true` accepts any arguments, standing in for systemctl
+  opts = { unitDir, systemctl: 'true' };
+});
+
+afterEach(async () => {
+  await fs.rm(unitDir, { recursive: true, force: true });
+});
+
+test('renderUnit passes PORT through env(1) and keeps the environment file', () => {
+  const unit = SystemdService.renderUnit({ ...service, envFile: '/home/app/shop/.env' });
+  assert.match(unit, /^ExecStart=\/usr\/bin\/env PORT=3005 npm start$/m);
+  assert.match(unit, /^EnvironmentFile=\/home\/app\/shop\/\.env$/m);
+  assert.match(unit, /^User=app$/m);
+});
+
+test('renderUnit rejects values that would break the unit file', () => {
+  assert.throws(() => SystemdService.renderUnit({ ...service, workdir: 'shop' }), /absolute path/);
+  assert.throws(() => SystemdService.renderUnit({ ...service, command: 'npm start\nExecStartPre=rm -rf /' }), /single line/);
+  assert.throws(() => SystemdService.renderUnit({ ...service, user: 'app; rm' }), /Invalid service user/);
+});
+
+test('installService writes the unit and refuses to replace it without force', async () => {
+  const file = await SystemdService.installService(service, opts);
+  assert.equal(file, path.join(unitDir, 'node-shop.service'));
+  assert.match(await fs.readFile(file, 'utf8'), /PORT=3005/);
+
+  await assert.rejects(SystemdService.installService({ ...service, port: 3006 }, opts), /already exists/);
+  await SystemdService.installService({ ...service, port: 3006 }, { ...opts, force: true });
+  assert.match(await fs.readFile(file, 'utf8'), /PORT=3006/);
+});
+
+test('updateServicePort moves the unit and returns the previous port', async () => {
+  assert.equal(await SystemdService.updateServicePort('shop', 3007, opts), null);
+
+  await SystemdService.installService(service, opts);
+  assert.equal(await SystemdService.updateServicePort('shop', 3007, opts), 3005);
+  assert.match(await SystemdService.readService('shop', opts), /PORT=3007/);
+});
+
+test('restoreService puts a replaced unit back, or removes a new one', async () => {
+  await SystemdService.installService(service, opts);
+  const previous = await SystemdService.readService('shop', opts);
+
+  await SystemdService.installService({ ...service, port: 3008 }, { ...opts, force: true });
+  await SystemdService.restoreService('shop', previous, opts);
+  assert.equal(await SystemdService.readService('shop', opts), previous);
+
+  await SystemdService.restoreService('shop', null, opts);
+  assert.equal(await SystemdService.hasService('shop', opts), false);
+});
@@ -0,0 +1,55 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { JsonFile } = require('../utils/jsonFile');
+
+let dir;
+let store;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rc-jsonfile-'));
+  store = new JsonFile(path.join(dir, 'nested', 'data.json'));
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const append = (item) => store.update(async () => {
+  const items = await store.read([]);
+  items.push(item);
+  await store.write(items);
+  return items.length;
+});
+
+test('read falls back when the file does not exist', async () => {
+  assert.deepEqual(await store.read([]), []);
+  assert.equal(await store.read(), null);
+});
+
+test('concurrent updates keep every entry', async () => {
+  await Promise.all([1, 2, 3, 4].map(append));
+  assert.deepEqual(await store.read(), [1, 2, 3, 4]);
+});
+
+test('update resolves with the task result', async () => {
+  assert.equal(await append('a'), 1);
+  assert.equal(await append('b'), 2);
+});
+
+test('a failed update does not block the ones queued after it', async () => {
+  const failed = store.update(async () => { throw new Error('disk full'); });
+  const next = append('kept');
+  await assert.rejects(failed, /disk full/);
+  await next;
+  assert.deepEqual(await store.read(), ['kept']);
+});
+
+test('writes the file owner-only and leaves no temp file behind', async () => {
+  await store.write({ ok: true });
+  const { mode } = await fs.stat(store.file);
+  assert.equal(mode & 0o777, 0o600);
+  assert.deepEqual(await fs.readdir(path.dirname(store.file)), ['data.json']);
+});
@@ -2,17 +2,60 @@
  * Utility functions for data generation and timing.
  */
 
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const readline = require('readline/promises');
+const { Writable } = require('stream');
+const CONSTANTS = require('../config/constants');
+
+/** Character classes available to password policies */
+const CHAR_CLASSES = Object.freeze({
+  lower: 'abcdefghijklmnopqrstuvwxyz',
+  upper: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  digit: '0123456789',
+  symbol: '!@#$%^&*'
+});
+
 /**
- * Generates a cryptographically strong password for WordPress Admins.
- * Satisfies complexity requirements (Symbols, Numbers, Mixed Case).
+ * Generates a random secret from a policy using crypto.randomInt.
+ * Every requested class appears at least once, at a random position (no predictable suffix).
+ * @param {object} policy `length`, `classes` (keys of CHAR_CLASSES) and `exclude` (characters to drop).
  */
-function generateStrongPass(length = 16) {
-  const charset = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*";
-  let retVal = "";
-  for (let i = 0, n = charset.length; i < length; ++i) {
-    retVal += charset.charAt(Math.floor(Math.random() * n));
+function generateSecret({ length, classes, exclude = '' }) {
+  const pools = classes.map((name) => {
+    if (!CHAR_CLASSES[name]) throw new Error(`Unknown character class "${name}". Use: ${Object.keys(CHAR_CLASSES).join(', ')}`);
+    const pool = [...CHAR_CLASSES[name]].filter(c => !exclude.includes(c)).join('');
+    if (!pool) throw new Error(`Password policy excludes every "${name}" character.`);
+    return pool;
+  });
+
+  if (!Number.isInteger(length) || length < Math.max(8, pools.length)) {
+    throw new Error(`Password length must be an integer of at least ${Math.max(8, pools.length)} (got ${length}).`);
+  }
+
+  const charset = pools.join('');
+  const chars = pools.map(pool => pool[crypto.randomInt(pool.length)]);
+  while (chars.length < length) chars.push(charset[crypto.randomInt(charset.length)]);
+
+  // Fisher-Yates shuffle, so the guaranteed characters land anywhere
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
   }
-  return retVal + "1Aa!"; // Suffix guarantees complexity rules are met
+  return chars.join('');
+}
+
+/**
+ * Generates a cryptographically strong password for WordPress Admins.
+ * Satisfies complexity requirements (Symbols, Numbers, Mixed Case) unless the policy says otherwise.
+ */
+function generateStrongPass(policy = {}) {
+  return generateSecret({
+    length: CONSTANTS.DEFAULTS.PASSWORD_LENGTH,
+    classes: CONSTANTS.DEFAULTS.PASSWORD_CLASSES.split(','),
+    ...policy
+  });
 }
 
 /**
@@ -20,20 +63,18 @@ function generateStrongPass(length = 16) {
  * RESTRICTED to Alphanumeric characters only.
  * RunCloud's API validation (422) is strict on DB passwords and rejects many symbols.
  */
-function generateDbPass(length = 24) {
-  const charset = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
-  let retVal = "";
-  for (let i = 0, n = charset.length; i < length; ++i) {
-    retVal += charset.charAt(Math.floor(Math.random() * n));
-  }
-  return retVal + "1A";
+function generateDbPass(policy = {}) {
+  return generateSecret({ length: CONSTANTS.DEFAULTS.DB_PASSWORD_LENGTH, ...policy, classes: ['lower', 'upper', 'digit'] });
 }
 
 /**
- * Generates a random alphanumeric ID string for naming resources.
+ * Generates a random ID for naming resources (e.g. the suffix of db_<id> / u_<id>).
+ * Always exactly `length` lowercase alphanumerics, valid in MySQL identifiers.
+ * 12 characters give 36^12 (~4.7e18) combinations, so collisions are practically impossible.
  */
-function generateId() {
-  return Math.random().toString(36).substring(7);
+function generateId(length = CONSTANTS.DEFAULTS.DB_ID_LENGTH) {
+  const charset = CHAR_CLASSES.lower + CHAR_CLASSES.digit;
+  return Array.from({ length }, () => charset[crypto.randomInt(charset.length)]).join('');
 }
 
 /**
@@ -44,9 +85,94 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Runs an async worker over a list of items with a bounded number in flight.
+ * Results keep the order of the input. When `shouldStop` returns true, no new
+ * items are started and their result slots are left undefined.
+ */
+async function mapWithConcurrency(items, limit, worker, shouldStop = () => false) {
+  const results = new Array(items.length);
+  let cursor = 0;
+
+  const lane = async () => {
+    while (cursor < items.length && !shouldStop()) {
+      const index = cursor++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const lanes = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  return results;
+}
+
+/**
+ * Returns a deep copy of an API payload with secret values replaced.
+ * Any key containing "pass", "secret" or "token" is considered sensitive.
+ */
+function maskSecrets(value) {
+  if (Array.isArray(value)) return value.map(maskSecrets);
+  if (!value || typeof value !== 'object') return value;
+
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [
+    k,
+    /pass|secret|token/i.test(k) && typeof v === 'string' && v ? '********' : maskSecrets(v)
+  ]));
+}
+
+/**
+ * Asks a question on the terminal and resolves with the trimmed answer.
+ */
+async function prompt(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return (await rl.question(question)).trim();
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Asks for a secret on the terminal without echoing it.
+ * The prompt goes to stderr so stdout stays clean for JSON output.
+ */
+async function promptSecret(question) {
+  let muted = false;
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) process.stderr.write(chunk, encoding);
+      callback();
+    }
+  });
+
+  const rl = readline.createInterface({ input: process.stdin, output, terminal: true });
+  try {
+    const answer = rl.question(question);
+    muted = true;
+    return (await answer).trim();
+  } finally {
+    rl.close();
+    process.stderr.write('\n');
+  }
+}
+
+/**
+ * Returns the per-user config directory of this tool (e.g. ~/.config/runcloud).
+ */
+function userConfigDir(env = process.env) {
+  return path.join(env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'runcloud');
+}
+
 module.exports = {
+  CHAR_CLASSES,
+  generateSecret,
   generateStrongPass,
   generateDbPass,
   generateId,
-  sleep
+  sleep,
+  mapWithConcurrency,
+  maskSecrets,
+  prompt,
+  promptSecret,
+  userConfigDir
 };
@@ -0,0 +1,55 @@
+/**
+ * A local JSON file that several runs of a batch update.
+ * Writes are atomic (temp file and rename, owner-only permissions) and updates are serialized,
+ * so concurrent read-modify-write cycles cannot lose entries. Used by the credentials store and the inventory.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class JsonFile {
+  /**
+   * @param {string} file Path of the JSON file.
+   */
+  constructor(file) {
+    this.file = file;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Parses the file, or resolves `fallback` when it does not exist.
+   */
+  async read(fallback = null) {
+    let content;
+    try {
+      content = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return fallback;
+      throw error;
+    }
+    return JSON.parse(content);
+  }
+
+  /**
+   * Atomically replaces the file (mode 0600, in a directory created with mode 0700).
+   */
+  async write(value) {
+    await fs.mkdir(path.dirname(this.file), { recursive: true, mode: 0o700 });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(value, null, 2), { mode: 0o600 });
+    await fs.rename(tmp, this.file);
+  }
+
+  /**
+   * Runs `task` (a read-modify-write of the file) after every update queued before it.
+   * Resolves with the task's result.
+   */
+  update(task) {
+    // A failed write must not block the ones queued after it
+    const result = this.queue.catch(() => {}).then(task);
+    this.queue = result;
+    return result;
+  }
+}
+
+module.exports = { JsonFile };
@@ -1,34 +1,166 @@
 /**
  * Presentation layer for CLI output.
- * standardized logging with icons and formatting.
+ * standardized logging with icons and formatting, levels, an optional log file and secret masking.
  */
 
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/** Console verbosity, least output first */
+const LEVELS = Object.freeze({ quiet: 0, normal: 1, verbose: 2, debug: 3 });
+
+const MASK = '********';
+
+/** Shorter values are not masked: they would also hide unrelated text */
+const MIN_SECRET_LENGTH = 6;
+
+let silent = false;
+let level = LEVELS.normal;
+let logFile = null;
+let showSecrets = false;
+const secrets = new Set();
+
+/** Line prefix of the current async context (set per site by batch runs) */
+const context = new AsyncLocalStorage();
+
+/** Prefixes every non-empty line with the context's prefix, if any */
+const tag = (msg) => {
+  const prefix = context.getStore();
+  if (!prefix) return msg;
+  return String(msg).split('\n').map(line => (line ? `${prefix} ${line}` : line)).join('\n');
+};
+
+/** Replaces every registered secret in a message */
+const redact = (msg) => {
+  let text = String(msg);
+  secrets.forEach((secret) => { text = text.split(secret).join(MASK); });
+  return text;
+};
+
+/**
+ * Appends timestamped entries to the log file, if one is set.
+ * The file gets every message up to the chosen level (at least normal), with secrets always masked.
+ */
+const toFile = (label, msg, msgLevel) => {
+  if (!logFile || msgLevel > Math.max(level, LEVELS.normal)) return;
+  const stamp = new Date().toISOString();
+  const lines = redact(msg).replace(/^\n+/, '').split('\n');
+  fs.appendFileSync(logFile, lines.map(line => `${stamp} ${label.padEnd(7)} ${line}\n`).join(''));
+};
+
+/** Writes to stdout unless output has been silenced or the level hides it */
+const out = (text, { msgLevel = LEVELS.normal, label = 'INFO' } = {}) => {
+  const msg = tag(text);
+  toFile(label, msg, msgLevel);
+  if (!silent && msgLevel <= level) console.log(redact(msg));
+};
+
+/** Writes to stderr at any level, so warnings and errors survive --quiet and JSON output */
+const err = (text, label) => {
+  const msg = tag(text);
+  toFile(label, msg, LEVELS.quiet);
+  console.error(redact(msg));
+};
+
 const Logger = {
+  /**
+   * Silences stdout logging, so a machine-readable document can own stdout.
+   * Errors and warnings still go to stderr.
+   */
+  setSilent: (value) => { silent = value; },
+
+  /**
+   * Applies the logging options.
+   * @param {object} options `level` (quiet, normal, verbose, debug), `logFile` path, `showSecrets`.
+   */
+  configure: ({ level: name = 'normal', logFile: file = null, showSecrets: show = false } = {}) => {
+    if (!(name in LEVELS)) throw new Error(`Unknown log level "${name}". Use: ${Object.keys(LEVELS).join(', ')}`);
+    level = LEVELS[name];
+    showSecrets = show;
+
+    if (file) {
+      // Fail now rather than on the first entry
+      try {
+        fs.appendFileSync(file, '');
+      } catch (error) {
+        throw new Error(`Cannot write log file ${file}: ${error.message}`);
+      }
+    }
+    logFile = file;
+  },
+
+  /**
+   * Registers values (API key, passwords) to mask in every output.
+   */
+  addSecret: (...values) => {
+    values.forEach((value) => {
+      if (value && String(value).length >= MIN_SECRET_LENGTH) secrets.add(String(value));
+    });
+  },
+
+  /** True when --show-secrets was given */
+  showsSecrets: () => showSecrets,
+
   /** Log generic info messages */
-  info: (msg) => console.log(msg),
+  info: (msg) => out(msg),
+
+  /** Log details shown with --verbose */
+  verbose: (msg) => out(msg, { msgLevel: LEVELS.verbose, label: 'VERBOSE' }),
+
+  /**
+   * Runs `fn` with every line it logs (including from async work it starts) prefixed with `prefix`.
+   * Resolves with the result of `fn`.
+   */
+  withPrefix: (prefix, fn) => context.run(prefix, fn),
+
+  /** Log diagnostics shown with --debug (stderr, so JSON output stays parseable) */
+  debug: (text) => {
+    const msg = tag(text);
+    toFile('DEBUG', msg, LEVELS.debug);
+    if (level >= LEVELS.debug) console.error(`🐞 ${redact(msg)}`);
+  },
 
   /** Log success messages with checkmark */
-  success: (msg) => console.log(`✅ ${msg}`),
+  success: (msg) => out(`✅ ${msg}`),
 
   /** Log error messages with cross mark (stderr) */
-  error: (msg) => console.error(`❌ ${msg}`),
+  error: (msg) => err(`❌ ${msg}`, 'ERROR'),
 
   /** Log warnings with yield sign */
-  warn: (msg) => console.error(`⚠️  ${msg}`),
+  warn: (msg) => err(`⚠️  ${msg}`, 'WARN'),
 
   /** Log section headers with rocket */
-  header: (msg) => console.log(`\n🚀 ${msg}`),
+  header: (msg) => out(`\n🚀 ${msg}`),
 
   /** Log intermediate steps with finger pointer */
-  step: (msg) => console.log(`\n👉 ${msg}`),
+  step: (msg) => out(`\n👉 ${msg}`),
 
   /**
    * Log Key-Value pairs with aligned padding.
+   * A `secret` value is masked unless --show-secrets is given, and always masked in the log file.
    */
-  kv: (k, v) => console.log(`   ${k.padEnd(14)}: ${v}`),
+  kv: (k, v, { secret = false } = {}) => {
+    const line = (value) => `   ${k.padEnd(14)}: ${value}`;
+    if (!secret) return out(line(v));
+
+    // The log file never gets the value, even with --show-secrets
+    toFile('INFO', tag(line(MASK)), LEVELS.normal);
+    if (!silent && level >= LEVELS.normal) console.log(tag(line(showSecrets ? v : MASK)));
+  },
 
   /** Draw a horizontal divider line */
-  divider: () => console.log('------------------------------------------------'),
+  divider: () => out('------------------------------------------------'),
+
+  /**
+   * Log rows as a padded table. Columns are sized to their widest cell.
+   */
+  table: (headers, rows) => {
+    const widths = headers.map((h, i) => Math.max(h.length, ...rows.map(r => String(r[i] ?? '').length)));
+    const line = (cells) => '   ' + cells.map((c, i) => String(c ?? '').padEnd(widths[i])).join('  ').trimEnd();
+    out(line(headers));
+    out('   ' + widths.map(w => '-'.repeat(w)).join('  '));
+    rows.forEach(r => out(line(r)));
+  },
 };
 
-module.exports = { Logger };
+module.exports = { Logger, LEVELS };
@@ -0,0 +1,42 @@
+/**
+ * Machine-readable run results for `--output json`.
+ * One JSON document is written to stdout; decorative logs are silenced by the caller.
+ */
+
+/**
+ * Converts a provisioning report into the stable JSON result shape.
+ */
+function toResultDocument(report) {
+  const doc = {
+    status: report.status,
+    app: report.appName ?? null,
+    domain: report.domainName ?? null,
+    webAppId: report.webAppId ?? null,
+    url: report.url ?? null,
+    domains: report.domains ?? [],
+    admin: report.admin ?? null,
+    database: report.database ?? null,
+    git: report.git ?? null,
+    proxy: report.proxy ?? null,
+    phpSettings: report.phpSettings ?? null,
+    steps: report.steps ?? {},
+    warnings: report.warnings ?? []
+  };
+
+  // Ensure mode only: created, changed or unchanged per step
+  if (report.changes) doc.changes = report.changes;
+  if (report.error) doc.error = report.error;
+  if (report.rollback) doc.rollback = report.rollback;
+  return doc;
+}
+
+/**
+ * Writes the results to stdout. A single site is emitted as one object, a manifest run as an array.
+ * Passwords are included as is: the document is for automation that needs them, and it bypasses the logger.
+ */
+function printResultJson(reports, { batch = false } = {}) {
+  const docs = reports.map(toResultDocument);
+  process.stdout.write(`${JSON.stringify(batch ? docs : docs[0], null, 2)}\n`);
+}
+
+module.exports = { toResultDocument, printResultJson };
@@ -0,0 +1,96 @@
+/**
+ * PHP-FPM settings: validation, conversion to the fpmnginx API payload and display.
+ * Settings are keyed by their php.ini names (memory_limit, pm, ...), see CONSTANTS.PHP_SETTINGS.
+ */
+
+const CONSTANTS = require('../config/constants');
+
+/**
+ * Validates and normalizes raw settings (from a profile, file or `key=value` flags).
+ * Sizes accept "512", "512M" or "1G" and are stored in MB.
+ */
+function normalizePhpSettings(raw, source) {
+  return Object.fromEntries(Object.entries(raw).map(([key, value]) => {
+    const spec = CONSTANTS.PHP_SETTINGS[key];
+    if (!spec) {
+      throw new Error(`Unknown PHP setting "${key}" in ${source}. Use: ${Object.keys(CONSTANTS.PHP_SETTINGS).join(', ')}`);
+    }
+    return [key, normalizeValue(key, spec, value, source)];
+  }));
+}
+
+/**
+ * Converts one value to the type the API expects.
+ */
+function normalizeValue(key, spec, value, source) {
+  const text = String(value).trim();
+
+  switch (spec.type) {
+    case 'size': {
+      const match = text.match(/^(\d+)\s*([MG]?)B?$/i);
+      if (!match) throw new Error(`PHP setting ${key} must be a size like 256M or 1G (got "${text}" in ${source}).`);
+      return Number(match[1]) * (match[2].toUpperCase() === 'G' ? 1024 : 1);
+    }
+    case 'int':
+      if (!/^\d+$/.test(text)) throw new Error(`PHP setting ${key} must be a whole number (got "${text}" in ${source}).`);
+      return Number(text);
+    case 'enum':
+      if (!spec.values.includes(text)) throw new Error(`PHP setting ${key} must be one of ${spec.values.join(', ')} (got "${text}" in ${source}).`);
+      return text;
+    default:
+      return text;
+  }
+}
+
+/**
+ * Parses repeatable `key=value` flags into a settings object.
+ */
+function parseSettingPairs(pairs) {
+  return Object.fromEntries([].concat(pairs || []).map((pair) => {
+    const index = String(pair).indexOf('=');
+    if (index < 1) throw new Error(`--php-set expects key=value (got "${pair}").`);
+    return [pair.slice(0, index).trim(), pair.slice(index + 1)];
+  }));
+}
+
+/**
+ * Builds the fpmnginx payload from normalized settings.
+ */
+function toFpmPayload(settings) {
+  return Object.fromEntries(Object.entries(settings).map(([key, value]) => [CONSTANTS.PHP_SETTINGS[key].field, value]));
+}
+
+/**
+ * Reads the given keys back from an fpmnginx response. Keys missing from the response are left out.
+ */
+function fromFpmResponse(response, keys) {
+  const data = response?.data ?? response ?? {};
+  return Object.fromEntries(keys
+    .filter(key => data[CONSTANTS.PHP_SETTINGS[key].field] !== undefined)
+    .map(key => [key, data[CONSTANTS.PHP_SETTINGS[key].field]]));
+}
+
+/**
+ * True when two values of a setting are equivalent. The order of disabled functions does not matter.
+ */
+function sameSettingValue(key, a, b) {
+  if (key !== 'disable_functions') return String(a) === String(b);
+  const list = (value) => String(value ?? '').split(',').map(f => f.trim()).filter(Boolean).sort().join(',');
+  return list(a) === list(b);
+}
+
+/**
+ * One-line display of settings, e.g. "memory_limit=512M, pm=dynamic".
+ * The disable_functions list is summarized, since it can be very long.
+ */
+function formatPhpSettings(settings) {
+  return Object.entries(settings).map(([key, value]) => {
+    if (key === 'disable_functions') {
+      const count = String(value).split(',').filter(Boolean).length;
+      return `${key}=${count ? `${count} functions` : 'none'}`;
+    }
+    return `${key}=${CONSTANTS.PHP_SETTINGS[key].type === 'size' ? `${value}M` : value}`;
+  }).join(', ');
+}
+
+module.exports = { normalizePhpSettings, parseSettingPairs, toFpmPayload, fromFpmResponse, sameSettingValue, formatPhpSettings };
@@ -0,0 +1,52 @@
+/**
+ * Renders dry-run plans recorded by the DryRunClient.
+ * Secrets in request bodies are always masked.
+ */
+
+const CONSTANTS = require('../config/constants');
+const { Logger } = require('./logger');
+const { maskSecrets } = require('./helpers');
+
+/**
+ * Converts provisioning reports into plain plan documents.
+ */
+function toPlanDocuments(reports) {
+  return reports.map(r => ({
+    app: r.appName,
+    domain: r.domainName,
+    calls: (r.plan || []).map(call => ({
+      method: call.method,
+      endpoint: call.endpoint,
+      url: `${CONSTANTS.API_BASE}${call.endpoint}`,
+      body: maskSecrets(call.body)
+    }))
+  }));
+}
+
+/**
+ * Prints each site's plan as an ordered list of HTTP calls.
+ */
+function printPlan(reports) {
+  toPlanDocuments(reports).forEach(doc => {
+    Logger.header(`Plan: ${doc.app} (${doc.domain}) - nothing has been sent`);
+
+    doc.calls.forEach((call, i) => {
+      Logger.info(`\n   ${i + 1}. ${call.method} ${call.endpoint}`);
+      if (call.body) {
+        JSON.stringify(call.body, null, 2).split('\n').forEach(line => Logger.info(`      ${line}`));
+      }
+    });
+  });
+  Logger.divider();
+}
+
+/**
+ * Writes the plan as JSON to stdout. A single site is emitted as one object,
+ * a manifest run as an array, so the output can be diffed in review.
+ */
+function printPlanJson(reports) {
+  const docs = toPlanDocuments(reports);
+  process.stdout.write(`${JSON.stringify(docs.length === 1 ? docs[0] : docs, null, 2)}\n`);
+}
+
+module.exports = { printPlan, printPlanJson };